@@ -0,0 +1,450 @@
+#!/usr/bin/env node
+/*
+Command line interface to rhill-voronoi-core.js: read sites from a file (or
+the standard input), compute their Voronoi diagram, and write it to a file
+(or the standard output).
+
+Run `voronoi --help` for the usage.
+*/
+
+var fs = require('fs'),
+    path = require('path'),
+    Voronoi = require('../rhill-voronoi-core.js');
+
+var usage = [
+    'Usage: voronoi [options] [input]',
+    '',
+    'Compute the Voronoi diagram of the sites read from the input file, or from',
+    'the standard input if no file is given.',
+    '',
+    'Options:',
+    '  -f, --from <format>   format of the input: csv, json, geojson or text.',
+    '                        Default is derived from the extension of the',
+    '                        input file, else guessed from its content.',
+    '  -t, --to <format>     format of the output: json, geojson, svg or csv.',
+    '                        Default is derived from the extension of the',
+    '                        output file, else json.',
+    '  -o, --output <file>   write to this file rather than to the standard',
+    '                        output.',
+    '  -b, --bbox <xl,yt,xr,yb>',
+    '                        the bounding box, as its left, top, right and',
+    '                        bottom sides (west, south, east and north for',
+    '                        GeoJSON). Default is the extent of the sites,',
+    '                        enlarged by 10% on all sides.',
+    '  -l, --lattices        read the input as lattices rather than as sites',
+    '                        (text input only): each quadruplet of values is an',
+    '                        offset x, offset y, delta x and delta y, from',
+    '                        which sites are laid out over the bounding box,',
+    '                        which is then required.',
+    '  -p, --projection <name>',
+    '                        projection of longitudes and latitudes to planar',
+    '                        coordinates: mercator or none. Default is mercator',
+    '                        for GeoJSON input, none otherwise.',
+    '  -s, --sites           draw the sites (svg output only).',
+    '  -h, --help            print this help.',
+    '',
+    'Input formats:',
+    '  csv   one site per line. If the first line is a header, the columns named',
+    '        x and y (or lon/lng/longitude and lat/latitude) are the coordinates,',
+    '        a column named weight is the weight of the site, and the other',
+    '        columns are carried as the properties of the site. Without header,',
+    '        the columns are x, y and the optional weight.',
+    '  json  an array of sites, either [x, y] or {x: x, y: y}, or a GeoJSON',
+    '        object, whose points are the sites.',
+    '  text  any non-numeric character is a separator, and consecutive pairs of',
+    '        values are the x and y of the sites.',
+    '',
+    'Output formats:',
+    '  json     the compact representation of the diagram, see',
+    '           Voronoi.Diagram.toJSON().',
+    '  geojson  a FeatureCollection of polygons, one for each cell.',
+    '  svg      an SVG document.',
+    '  csv      the edges, one per line: x1,y1,x2,y2,left,right, where left and',
+    '           right are the indices of the sites on each side of the edge',
+    '           (right is empty for an edge on the bounding box).'
+    ].join('\n');
+
+var extensions = {
+    '.csv': 'csv',
+    '.json': 'json',
+    '.geojson': 'geojson',
+    '.svg': 'svg',
+    '.txt': 'text'
+    };
+
+function fail(message) {
+    process.stderr.write('voronoi: ' + message + '\n');
+    process.exit(1);
+    }
+
+// ---------------------------------------------------------------------------
+// Command line
+
+function parseArguments(args) {
+    var options = {},
+        iArg, arg,
+        value = function() {
+            if (iArg+1 >= args.length) {
+                fail('missing value for ' + arg);
+                }
+            return args[++iArg];
+            };
+    for (iArg=0; iArg<args.length; iArg++) {
+        arg = args[iArg];
+        switch (arg) {
+        case '-f':
+        case '--from':
+            options.from = value();
+            break;
+        case '-t':
+        case '--to':
+            options.to = value();
+            break;
+        case '-o':
+        case '--output':
+            options.output = value();
+            break;
+        case '-b':
+        case '--bbox':
+            options.bbox = parseBbox(value());
+            break;
+        case '-l':
+        case '--lattices':
+            options.lattices = true;
+            break;
+        case '-p':
+        case '--projection':
+            options.projection = value();
+            break;
+        case '-s':
+        case '--sites':
+            options.sites = true;
+            break;
+        case '-h':
+        case '--help':
+            options.help = true;
+            break;
+        default:
+            if (arg.charAt(0) === '-' && arg !== '-') {
+                fail('unknown option ' + arg);
+                }
+            if (options.input !== undefined) {
+                fail('only one input file can be given');
+                }
+            options.input = arg;
+            }
+        }
+    if (options.from && ['csv', 'json', 'geojson', 'text'].indexOf(options.from) < 0) {
+        fail('unknown input format ' + options.from);
+        }
+    if (options.to && ['json', 'geojson', 'svg', 'csv'].indexOf(options.to) < 0) {
+        fail('unknown output format ' + options.to);
+        }
+    if (options.projection && ['mercator', 'none'].indexOf(options.projection) < 0) {
+        fail('unknown projection ' + options.projection);
+        }
+    return options;
+    }
+
+function parseBbox(value) {
+    var sides = value.split(',').map(Number);
+    if (sides.length !== 4 || sides.some(isNaN)) {
+        fail('invalid bounding box ' + value + ', expected xl,yt,xr,yb');
+        }
+    return sides;
+    }
+
+function getFormat(filename) {
+    return filename ? extensions[path.extname(filename).toLowerCase()] : undefined;
+    }
+
+// ---------------------------------------------------------------------------
+// Input
+
+// Return the numbers found in a text, any non-numeric character being a
+// separator.
+function parseNumbers(text) {
+    var matches = text.match(/[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) || [];
+    return matches.map(Number);
+    }
+
+function parseText(text) {
+    var values = parseNumbers(text),
+        sites = [];
+    for (var iValue=0; iValue+1<values.length; iValue+=2) {
+        sites.push({x: values[iValue], y: values[iValue+1]});
+        }
+    return sites;
+    }
+
+// Lay out the sites of each lattice (offset x, offset y, delta x, delta y)
+// over the bounding box.
+function parseLattices(text, bbox) {
+    var values = parseNumbers(text),
+        sites = [],
+        iValue, ox, oy, dx, dy, x, y;
+    for (iValue=0; iValue+3<values.length; iValue+=4) {
+        ox = values[iValue];
+        oy = values[iValue+1];
+        dx = values[iValue+2];
+        dy = values[iValue+3];
+        if (dx <= 0 || dy <= 0) {
+            fail('the deltas of a lattice must be positive');
+            }
+        for (y=oy+Math.ceil((bbox.yt-oy)/dy)*dy; y<bbox.yb; y+=dy) {
+            for (x=ox+Math.ceil((bbox.xl-ox)/dx)*dx; x<bbox.xr; x+=dx) {
+                sites.push({x: x, y: y});
+                }
+            }
+        }
+    return sites;
+    }
+
+// Split a line of CSV into its fields, which can be double-quoted.
+function splitCSV(line) {
+    var fields = [],
+        re = /\s*(?:"((?:[^"]|"")*)"|([^,]*))\s*(,|$)/g,
+        match;
+    while ((match = re.exec(line))) {
+        fields.push(match[1] !== undefined ? match[1].replace(/""/g, '"') : match[2].trim());
+        if (!match[3]) {
+            break;
+            }
+        }
+    return fields;
+    }
+
+function parseCSV(text) {
+    var lines = text.split(/\r?\n/).filter(function(line) {
+            return line.trim() !== '';
+            }),
+        sites = [],
+        columns = ['x', 'y', 'weight'],
+        hasProperties = false,
+        iLine = 0,
+        iColumn, fields, site, value;
+    if (lines.length && /[a-df-z_]/i.test(lines[0].replace(/\d[eE][-+]?\d/g, ''))) {
+        columns = splitCSV(lines[0]).map(function(name) {
+            var lowerName = name.toLowerCase();
+            if (/^(x|lon|lng|longitude)$/.test(lowerName)) {return 'x';}
+            if (/^(y|lat|latitude)$/.test(lowerName)) {return 'y';}
+            if (lowerName === 'weight') {return 'weight';}
+            hasProperties = true;
+            return name;
+            });
+        if (columns.indexOf('x') < 0 || columns.indexOf('y') < 0) {
+            fail('the CSV header has no x and y columns');
+            }
+        iLine = 1;
+        }
+    for (; iLine<lines.length; iLine++) {
+        fields = splitCSV(lines[iLine]);
+        site = hasProperties ? {properties: {}} : {};
+        for (iColumn=0; iColumn<columns.length && iColumn<fields.length; iColumn++) {
+            value = fields[iColumn];
+            switch (columns[iColumn]) {
+            case 'x':
+            case 'y':
+            case 'weight':
+                site[columns[iColumn]] = value === '' ? NaN : Number(value);
+                break;
+            default:
+                site.properties[columns[iColumn]] = value;
+                }
+            }
+        if (isNaN(site.x) || isNaN(site.y) || site.weight !== undefined && isNaN(site.weight)) {
+            fail('invalid site at line ' + (iLine+1));
+            }
+        sites.push(site);
+        }
+    return sites;
+    }
+
+function isGeoJSON(json) {
+    return !!json && typeof json.type === 'string';
+    }
+
+function parseJSON(json, voronoi, projection) {
+    if (isGeoJSON(json)) {
+        return voronoi.sitesFromGeoJSON(json, projection);
+        }
+    if (!Array.isArray(json)) {
+        fail('the JSON input must be an array of sites or a GeoJSON object');
+        }
+    return json.map(function(item, iItem) {
+        var site = Array.isArray(item) ? {x: item[0], y: item[1]} : item;
+        if (Array.isArray(item) && item.length > 2) {
+            site.weight = item[2];
+            }
+        if (!site || typeof site.x !== 'number' || typeof site.y !== 'number') {
+            fail('invalid site at index ' + iItem);
+            }
+        return site;
+        });
+    }
+
+function guessFormat(text) {
+    var firstLine = text.replace(/^\s+/, '').split(/\r?\n/, 1)[0];
+    if (/^[\[{]/.test(firstLine)) {
+        return 'json';
+        }
+    // a header
+    if (/[a-df-z_]/i.test(firstLine.replace(/\d[eE][-+]?\d/g, ''))) {
+        return 'csv';
+        }
+    return 'text';
+    }
+
+// ---------------------------------------------------------------------------
+// Output
+
+// The sides of the edges are written as the indices of their sites in the
+// input, rather than as their voronoiId, which follows the order of the
+// sweep.
+function toCSV(diagram, sites) {
+    var lines = ['x1,y1,x2,y2,left,right'],
+        indices = new Map(),
+        edges = diagram.edges,
+        nEdges = edges.length,
+        edge;
+    sites.forEach(function(site, iSite) {
+        indices.set(site, iSite);
+        });
+    for (var iEdge=0; iEdge<nEdges; iEdge++) {
+        edge = edges[iEdge];
+        lines.push([
+            edge.va.x,
+            edge.va.y,
+            edge.vb.x,
+            edge.vb.y,
+            indices.get(edge.lSite),
+            edge.rSite ? indices.get(edge.rSite) : ''
+            ].join(','));
+        }
+    return lines.join('\n') + '\n';
+    }
+
+// ---------------------------------------------------------------------------
+// Main
+
+function main(args) {
+    var options = parseArguments(args);
+    if (options.help) {
+        process.stdout.write(usage + '\n');
+        return;
+        }
+    var voronoi = new Voronoi(),
+        filename = options.input !== undefined && options.input !== '-' ? options.input : null,
+        text, from, json, geo, projection, sites, bbox, extent, diagram, output;
+    try {
+        text = fs.readFileSync(filename || 0, 'utf8');
+        }
+    catch (e) {
+        fail('cannot read ' + (filename || 'the standard input') + ': ' + e.message);
+        }
+    from = options.from || getFormat(filename) || guessFormat(text);
+    if (from === 'geojson') {
+        from = 'json';
+        }
+    if (from === 'json') {
+        try {
+            json = JSON.parse(text);
+            }
+        catch (e) {
+            fail('invalid JSON: ' + e.message);
+            }
+        }
+    geo = isGeoJSON(json);
+    projection = options.projection ?
+        (options.projection === 'mercator' ? voronoi.mercator : null) :
+        (geo ? voronoi.mercator : null);
+    if (options.bbox) {
+        bbox = options.bbox;
+        // a GeoJSON bbox is [west, south, east, north]
+        if (geo || projection) {
+            extent = voronoi.Diagram.prototype.getExtent([
+                voronoi.project(projection, bbox[0], bbox[1]),
+                voronoi.project(projection, bbox[2], bbox[3])
+                ]);
+            }
+        else {
+            extent = {xl: bbox[0], yt: bbox[1], xr: bbox[2], yb: bbox[3]};
+            }
+        if (!(extent.xl < extent.xr) || !(extent.yt < extent.yb)) {
+            fail('the bounding box is empty');
+            }
+        }
+    if (options.lattices) {
+        if (from !== 'text') {
+            fail('lattices can only be read from text input');
+            }
+        if (!extent) {
+            fail('lattices require a bounding box');
+            }
+        sites = parseLattices(text, extent);
+        }
+    else if (from === 'csv') {
+        sites = parseCSV(text);
+        }
+    else if (from === 'json') {
+        sites = parseJSON(json, voronoi, projection);
+        }
+    else {
+        sites = parseText(text);
+        }
+    if (!sites.length) {
+        fail('no sites found in the input');
+        }
+    // the CSV and text coordinates are projected as well, if so asked
+    if (projection && !geo) {
+        sites.forEach(function(site) {
+            var xy = voronoi.project(projection, site.x, site.y);
+            site.x = xy.x;
+            site.y = xy.y;
+            });
+        }
+    if (!extent) {
+        extent = voronoi.Diagram.prototype.getExtent(sites);
+        var dx = (extent.xr-extent.xl)*0.1 || 1,
+            dy = (extent.yb-extent.yt)*0.1 || 1;
+        extent.xl -= dx;
+        extent.xr += dx;
+        extent.yt -= dy;
+        extent.yb += dy;
+        }
+    try {
+        diagram = voronoi.compute(sites, extent);
+        }
+    catch (e) {
+        if (e instanceof Voronoi.VoronoiError) {
+            fail(e.message);
+            }
+        throw e;
+        }
+    switch (options.to || getFormat(options.output) || 'json') {
+    case 'geojson':
+        output = JSON.stringify(diagram.toGeoJSON({projection: projection}));
+        break;
+    case 'svg':
+        output = diagram.toSVG({bbox: extent, sites: options.sites});
+        break;
+    case 'csv':
+        output = toCSV(diagram, sites);
+        break;
+    default:
+        output = JSON.stringify(diagram);
+        }
+    if (options.output) {
+        try {
+            fs.writeFileSync(options.output, output);
+            }
+        catch (e) {
+            fail('cannot write ' + options.output + ': ' + e.message);
+            }
+        }
+    else {
+        process.stdout.write(output);
+        }
+    }
+
+main(process.argv.slice(2));
@@ -27,6 +27,117 @@ History: See https://github.com/gorhill/Javascript-Voronoi/CHANGELOG.md
   result = voronoi.compute(sites, bbox);
   // render, further analyze, etc.
 
+  // coordinates are compared with a tolerance, Voronoi.ε by default (scaled
+  // down for sites spanning less than one unit), which can be set as an
+  // absolute 'epsilon' or, for coordinates much larger or much smaller than
+  // screen pixels, as a 'relativeEpsilon', scaled by the magnitude of the
+  // coordinates:
+  voronoi = new Voronoi({relativeEpsilon:1e-13});
+  // in robust mode, the topology of the diagram is decided with exact
+  // predicates, so that degenerate sites, such as sites on a grid or on a
+  // circle, or nearly so, always yield valid cells (Voronoi.quantizeSites()
+  // is then unnecessary). Vertices of the resulting diagram which are closer
+  // than the tolerance are merged into one:
+  voronoi = new Voronoi({robust:true});
+  // invalid sites or bounding box throw a Voronoi.VoronoiInputError, and a
+  // diagram which can't be built throws a Voronoi.VoronoiTopologyError, both
+  // subclasses of Voronoi.VoronoiError, whose 'context' property describes
+  // what caused the error.
+  // sites at the same position, or within 'duplicateTolerance' of each
+  // other, collapse into one cell, and are reported in result.duplicates.
+  // With duplicates:'merge', the properties of a collapsed site but its
+  // weight are copied to the site it collapsed into, when missing (see
+  // Voronoi.addDuplicate()):
+  voronoi = new Voronoi({duplicates:'merge', duplicateTolerance:0.5});
+  // the voronoiId of each site, the index of its cell in result.cells, is
+  // written to its 'voronoiId' property, or to the property named by the
+  // 'voronoiIdProperty' option. If null, the supplied sites are left
+  // untouched: cells then refer to copies of them. Cells can be looked up
+  // by an id of the sites with result.getCellMap():
+  voronoi = new Voronoi({voronoiIdProperty:null});
+  var cellOfSite = voronoi.compute(sites, bbox).getCellMap('id').get(sites[0].id);
+  // the sites can also be supplied as a typed array of interleaved
+  // coordinates, [x0, y0, x1, y1, ...], and the diagram returned as a flat
+  // representation made of typed arrays (see Voronoi.Diagram.toBuffers()):
+  var buffers = voronoi.computeBuffers(new Float64Array([300,300, 100,100, 200,500]), bbox);
+  // or computed in a worker (rhill-voronoi-worker.js), without blocking the
+  // main thread. A call superseding a running computation cancels it, and
+  // rejects its promise with a Voronoi.VoronoiCancelError:
+  voronoi.computeAsync(sites, bbox).then(function(buffers) {
+      // render, further analyze, etc.
+      }, function(e) {
+      if (!(e instanceof Voronoi.VoronoiCancelError)) {
+          throw e;
+          }
+      });
+  // or, where workers aren't available, computed in chunks of about
+  // 'budgetMs' milliseconds, yielding to the event loop between chunks:
+  voronoi.computeIncremental(sites, bbox, {budgetMs:8, onProgress:function(progress) {
+      // progress.events, progress.sites, progress.totalSites,
+      // progress.collapsedSites
+      }}).then(function(result) {
+      // render, further analyze, etc.
+      }, function(e) {
+      if (!(e instanceof Voronoi.VoronoiCancelError)) {
+          throw e;
+          }
+      });
+
+  // sites can carry a 'weight' property, in which case the computed diagram
+  // is a power diagram: a point belongs to the cell of the site for which
+  // the squared distance minus the weight is the smallest. Some sites may
+  // then end up with no cell, i.e. with an empty array of halfedges.
+  result = voronoi.compute([{x:300,y:300,weight:900}, {x:100,y:100,weight:0}], bbox);
+  // instead of a bounding box, a convex polygon can be supplied, as an
+  // array of objects which exhibit x, y properties, in which case cells are
+  // closed along the sides of the polygon:
+  result = voronoi.compute(sites, [{x:400,y:0}, {x:800,y:300}, {x:400,y:600}, {x:0,y:300}]);
+  // or a circle (cx, cy, r properties) or an ellipse (cx, cy, rx, ry
+  // properties), approximated by a polygon with as many sides as the
+  // optional 'segments' property (default is 64):
+  result = voronoi.compute(sites, {cx:400, cy:300, r:300, segments:128});
+  // the bounding box can be omitted, in which case the returned diagram is
+  // left unclipped: cells are not closed, and edges can be rays or lines
+  // (see Voronoi.Edge.getDirection()). Such a diagram can then be clipped
+  // as many times as needed, each clip returning a new, closed diagram:
+  var unclipped = voronoi.compute(sites);
+  result = unclipped.clip(bbox); // or voronoi.clip(unclipped, bbox)
+  // sites can be read from GeoJSON points (longitudes and latitudes, which
+  // are projected, by default using Voronoi.mercator), in which case the
+  // result is a GeoJSON FeatureCollection of polygons, one for each site,
+  // carrying the properties of the feature of the site. The bounding box
+  // is then a GeoJSON bbox, [west, south, east, north]:
+  var featureCollection = voronoi.computeGeoJSON(points, [-74, 40.5, -73.5, 41]);
+  // a mutable diagram can be updated as sites are added, removed or moved,
+  // each update recomputing only the cells around the changed site. All
+  // three methods return the array of Voronoi.Cell objects which changed:
+  var mutable = voronoi.computeMutable(sites, bbox);
+  var changedCells = mutable.addSite({x:400,y:200});
+  changedCells = mutable.moveSite(sites[0], 320, 310);
+  changedCells = mutable.removeSite(sites[1]);
+  // Lloyd's relaxation moves the sites (in place) to the centroid of their
+  // cell, until no site moves more than 'tolerance', or for at most
+  // 'iterations' iterations. The energy and the largest displacement of
+  // each iteration are reported:
+  var relaxed = voronoi.relax(sites, bbox, {iterations:50, tolerance:0.1});
+  result = relaxed.diagram; // relaxed.iterations[i].energy, .maxDisplacement
+  // or one iteration at a time, reusing the diagram of the previous one:
+  relaxed = voronoi.relax(sites, bbox, {diagram:relaxed.diagram});
+  // centroids can be computed against a density, either a function of x
+  // and y, or a raster grid such as the luminance of an image, in which case
+  // sites concentrate where the density is high:
+  relaxed = voronoi.relax(sites, bbox, {iterations:50, density:function(x, y){return x/800;}});
+  relaxed = voronoi.relax(sites, bbox, {iterations:50, density:{width:800, height:600, data:luminance}});
+  // the computation can be stepped through, one event of Fortune's
+  // algorithm at a time, for instance to visualize the sweep, inspecting
+  // its state with getSnapshot() (beachline, pending circle events and
+  // edges so far) between steps:
+  voronoi.begin(sites, bbox);
+  var event = voronoi.step(); // event.type is 'site' or 'circle'
+  voronoi.advanceTo(250); // process the events up to the sweep line y=250
+  var snapshot = voronoi.getSnapshot();
+  result = voronoi.finish();
+
 Return value:
   An object with the following properties:
 
@@ -37,12 +148,48 @@ Return value:
   result.cells = an array of Voronoi.Cell object making up the Voronoi diagram.
     A Cell object might have an empty array of halfedges, meaning no Voronoi
     cell could be computed for a particular cell.
+  result.triangles = an array of Voronoi.Triangle objects making up the
+    Delaunay triangulation of the sites, the dual of the Voronoi diagram.
+    Triangles are not affected by the bounding box.
   result.execTime = the time it took to compute the Voronoi diagram, in
     milliseconds.
+  result.duplicates = an array of {site, into} objects, one for each site
+    which got no cell of its own because it is at the same position as
+    another site, 'into', whose cell it shares: the voronoiId of 'site' is
+    that of 'into'.
+  result.findCell(x, y) = a method returning the Voronoi.Cell object which
+    contains the point (x, y), or null if the point is outside the diagram. A
+    point on an edge or a vertex belongs to the cell whose site has the
+    smallest voronoiId. An index is built on the first call, so that
+    subsequent calls are fast.
+  result.link() = a method linking the halfedges of the diagram together, see
+    the 'halfedges' property of Voronoi.Vertex objects and the 'cell',
+    'twin', 'next' and 'prev' properties of Voronoi.Halfedge objects, which
+    are null until then. Returns the diagram.
+  result.nearestSites(x, y, k) = a method returning an array of the k sites
+    nearest to the point (x, y), nearest first. For a power diagram, the
+    power distance is used.
+  result.naturalNeighbors(site) = a method returning an array of the sites
+    whose cells are adjacent to the cell of the supplied site, the
+    bounding box notwithstanding.
+  result.getCellMap(idProperty) = a method returning a Map from the value of
+    the 'idProperty' property of each site ('id' by default) to its cell.
+  result.toSVG(options) = a method returning an SVG document of the diagram,
+    as a string. See Voronoi.Diagram.toSVG() for the options.
+  result.toGeoJSON(options) = a method returning the diagram as a GeoJSON
+    FeatureCollection of polygons. See Voronoi.computeGeoJSON().
+  result.toJSON() = a method returning a compact representation of the
+    diagram, in which vertices, edges and sites are referred to by index,
+    called by JSON.stringify(). Voronoi.Diagram.fromJSON() restores the
+    diagram from it, either as an object or as a JSON string.
+  result.toBuffers() = a method returning a flat representation of the
+    diagram, made of typed arrays. See Voronoi.Diagram.toBuffers().
 
 Voronoi.Vertex object:
   x: The x position of the vertex.
   y: The y position of the vertex.
+  halfedges: an array of the Voronoi.Halfedge objects starting at this vertex,
+    ordered counterclockwise.
 
 Voronoi.Edge object:
   lSite: the Voronoi site object at the left of this Voronoi.Edge object.
@@ -52,14 +199,30 @@ Voronoi.Edge object:
     (relative to the Voronoi site on the left) of this Voronoi.Edge object.
   vb: an object with an 'x' and a 'y' property defining the end point
     (relative to Voronoi site on the left) of this Voronoi.Edge object.
+  getDirection(): a method returning an object with an 'x' and a 'y' property
+    for the direction of this Voronoi.Edge object, from va to vb. In an
+    unclipped diagram, va and/or vb can be null: if only vb is null, the edge
+    is a ray starting at va; if both are null, the edge is a line through the
+    midpoint of lSite and rSite (for a power diagram, through the point where
+    both sites are at equal power distance.)
 
   For edges which are used to close open cells (using the supplied bounding
-  box), the rSite property will be null.
+  box or polygon), the rSite property will be null.
 
 Voronoi.Cell object:
   site: the Voronoi site object associated with the Voronoi cell.
   halfedges: an array of Voronoi.Halfedge objects, ordered counterclockwise,
     defining the polygon for this Voronoi cell.
+  getVertices(): a method returning the array of Voronoi.Vertex objects of
+    this cell, ordered counterclockwise.
+  getArea(), getPerimeter(): methods returning the area and the perimeter of
+    this cell (Infinity if the cell isn't closed.)
+  getCentroid(): a method returning an object with an 'x' and a 'y' property
+    for the centroid of this cell (null if the cell isn't closed.)
+  isClosed(): a method returning whether the halfedges of this cell form a
+    closed polygon, which is always the case unless the diagram is unclipped.
+  touchesBorder(): a method returning whether this cell is bounded by the
+    bounding box, or extends to infinity in an unclipped diagram.
 
 Voronoi.Halfedge object:
   site: the Voronoi site object owning this Voronoi.Halfedge object.
@@ -71,19 +234,33 @@ Voronoi.Halfedge object:
   getEndpoint(): a method returning an object with an 'x' and a 'y' property
     for the end point of this halfedge. Keep in mind halfedges are always
     countercockwise.
+  getDirection(): a method returning an object with an 'x' and a 'y' property
+    for the direction of this halfedge, from its start point to its end point.
+  cell: the Voronoi.Cell object owning this Voronoi.Halfedge object.
+  twin: the Voronoi.Halfedge object on the other side of the same edge, owned
+    by the neighboring cell (null for edges used to close open cells).
+  next, prev: the following and preceding Voronoi.Halfedge objects around the
+    cell, counterclockwise. In an unclipped diagram, they are null at the
+    open end of a cell.
+
+Voronoi.Triangle object:
+  a, b, c: the three Voronoi site objects forming this Delaunay triangle,
+    ordered counterclockwise (same convention as the halfedges of a cell).
+    The center of the circle through the three sites is a vertex of the
+    Voronoi diagram.
 
 TODO: Identify opportunities for performance improvement.
-
-TODO: Let the user close the Voronoi cells, do not do it automatically. Not only let
-      him close the cells, but also allow him to close more than once using a different
-      bounding box for the same Voronoi diagram.
 */
 
 /*global Math */
 
 // ---------------------------------------------------------------------------
 
-function Voronoi() {
+function Voronoi(options) {
+    // see Voronoi.updateEpsilon()
+    this.options = options || {};
+    // see Voronoi.orient()
+    this.robust = !!this.options.robust;
     this.vertices = null;
     this.edges = null;
     this.cells = null;
@@ -93,6 +270,16 @@ function Voronoi() {
     this.vertexJunkyard = [];
     this.edgeJunkyard = [];
     this.cellJunkyard = [];
+    this.siteEvents = null;
+    this.stepping = null;
+    // see Voronoi.addDuplicate()
+    this.duplicates = null;
+    // see Voronoi.copySites()
+    this.suppliedSites = this.siteCopies = null;
+    // see Voronoi.computeAsync()
+    this.worker = null;
+    this.pendingAsync = null;
+    this.asyncId = 0;
     }
 
 // ---------------------------------------------------------------------------
@@ -114,20 +301,440 @@ Voronoi.prototype.reset = function() {
         this.circleEvents = new this.RBTree();
         }
     this.circleEvents.root = this.firstCircleEvent = null;
+    // any diagram data available for recycling?
+    // I do that here so that this is included in execution time
+    if ( this.toRecycle ) {
+        this.vertexJunkyard = this.vertexJunkyard.concat(this.toRecycle.vertices);
+        this.edgeJunkyard = this.edgeJunkyard.concat(this.toRecycle.edges);
+        this.cellJunkyard = this.cellJunkyard.concat(this.toRecycle.cells);
+        this.toRecycle = null;
+        }
     this.vertices = [];
     this.edges = [];
     this.cells = [];
+    this.triangles = [];
+    this.duplicates = [];
+    this.suppliedSites = this.siteCopies = null;
+    // see Voronoi.begin()
+    this.siteEvents = this.stepping = null;
+    };
+
+// ---------------------------------------------------------------------------
+// Errors
+//
+// All the errors thrown by the Voronoi object are instances of
+// Voronoi.VoronoiError, a subclass of Error:
+//   Voronoi.VoronoiInputError: invalid sites, bounding box or arguments
+//   Voronoi.VoronoiTopologyError: the diagram couldn't be built from the
+//     sites, typically because of finite precision arithmetic, see the
+//     'robust' and 'epsilon' options of the constructor
+//   Voronoi.VoronoiCancelError: an asynchronous computation was cancelled,
+//     see Voronoi.computeAsync()
+// Each error exhibits a 'context' object, whose properties describe what
+// caused the error, for instance the offending site and its index, or the
+// id of the cell which couldn't be closed and the vertex at which it
+// failed, and the bounding box.
+
+Voronoi.prototype.VoronoiError = Voronoi.VoronoiError = function(message, context) {
+    this.message = message;
+    this.context = context || {};
+    if (Error.captureStackTrace) {
+        Error.captureStackTrace(this, this.constructor);
+        }
+    else {
+        this.stack = (new Error(message)).stack;
+        }
+    };
+Voronoi.VoronoiError.prototype = Object.create(Error.prototype);
+Voronoi.VoronoiError.prototype.constructor = Voronoi.VoronoiError;
+Voronoi.VoronoiError.prototype.name = 'VoronoiError';
+
+Voronoi.prototype.VoronoiInputError = Voronoi.VoronoiInputError = function(message, context) {
+    Voronoi.VoronoiError.call(this, message, context);
+    };
+Voronoi.VoronoiInputError.prototype = Object.create(Voronoi.VoronoiError.prototype);
+Voronoi.VoronoiInputError.prototype.constructor = Voronoi.VoronoiInputError;
+Voronoi.VoronoiInputError.prototype.name = 'VoronoiInputError';
+
+Voronoi.prototype.VoronoiTopologyError = Voronoi.VoronoiTopologyError = function(message, context) {
+    Voronoi.VoronoiError.call(this, message, context);
+    };
+Voronoi.VoronoiTopologyError.prototype = Object.create(Voronoi.VoronoiError.prototype);
+Voronoi.VoronoiTopologyError.prototype.constructor = Voronoi.VoronoiTopologyError;
+Voronoi.VoronoiTopologyError.prototype.name = 'VoronoiTopologyError';
+
+Voronoi.prototype.VoronoiCancelError = Voronoi.VoronoiCancelError = function(message, context) {
+    Voronoi.VoronoiError.call(this, message, context);
+    };
+Voronoi.VoronoiCancelError.prototype = Object.create(Voronoi.VoronoiError.prototype);
+Voronoi.VoronoiCancelError.prototype.constructor = Voronoi.VoronoiCancelError;
+Voronoi.VoronoiCancelError.prototype.name = 'VoronoiCancelError';
+
+Voronoi.prototype.isFiniteNumber = function(value) {
+    return typeof value === 'number' && isFinite(value);
+    };
+
+// Throw a Voronoi.VoronoiInputError if the sites aren't an array of objects
+// with finite x, y (and weight, if any) properties.
+Voronoi.prototype.validateSites = function(sites, method) {
+    if (!Array.isArray(sites)) {
+        throw new this.VoronoiInputError(method+' > The sites must be an array.', {sites: sites});
+        }
+    var nSites = sites.length,
+        iSite;
+    for (iSite=0; iSite<nSites; iSite++) {
+        this.validateSite(sites[iSite], method, iSite);
+        }
+    };
+
+Voronoi.prototype.validateSite = function(site, method, index) {
+    var where = index !== undefined ? ' at index '+index : '';
+    if (!site || typeof site !== 'object') {
+        throw new this.VoronoiInputError(method+' > The site'+where+' is not an object.', {index: index, site: site});
+        }
+    if (!this.isFiniteNumber(site.x) || !this.isFiniteNumber(site.y)) {
+        throw new this.VoronoiInputError(method+' > The site'+where+' has invalid coordinates ('+site.x+', '+site.y+').', {index: index, site: site});
+        }
+    if (site.weight !== undefined && !this.isFiniteNumber(site.weight)) {
+        throw new this.VoronoiInputError(method+' > The site'+where+' has an invalid weight ('+site.weight+').', {index: index, site: site});
+        }
+    };
+
+// Throw a Voronoi.VoronoiInputError if the bounding box is neither a
+// bounding box with finite sides such that xl < xr and yt < yb, nor a
+// polygon, a circle or an ellipse with finite coordinates, see
+// Voronoi.compute(). The convexity of a polygon is checked later, see
+// Voronoi.preparePolygon().
+Voronoi.prototype.validateBbox = function(bbox, method) {
+    var me = this,
+        fail = function(message) {
+            throw new me.VoronoiInputError(method+' > '+message, {bbox: bbox});
+            },
+        iPoint;
+    if (!bbox || typeof bbox !== 'object') {
+        fail('The bounding box must be an object.');
+        }
+    if (Array.isArray(bbox)) {
+        for (iPoint=0; iPoint<bbox.length; iPoint++) {
+            if (!bbox[iPoint] || !this.isFiniteNumber(bbox[iPoint].x) || !this.isFiniteNumber(bbox[iPoint].y)) {
+                fail('The point at index '+iPoint+' of the polygon has invalid coordinates.');
+                }
+            }
+        }
+    else if (bbox.r !== undefined || bbox.rx !== undefined) {
+        var rx = bbox.rx !== undefined ? bbox.rx : bbox.r,
+            ry = bbox.ry !== undefined ? bbox.ry : bbox.r;
+        if (!this.isFiniteNumber(bbox.cx) || !this.isFiniteNumber(bbox.cy) || !this.isFiniteNumber(rx) || !this.isFiniteNumber(ry)) {
+            fail('The circle or ellipse has invalid coordinates.');
+            }
+        if (!(rx > 0) || !(ry > 0)) {
+            fail('The radius of the circle or ellipse must be positive.');
+            }
+        }
+    else {
+        if (!this.isFiniteNumber(bbox.xl) || !this.isFiniteNumber(bbox.xr) || !this.isFiniteNumber(bbox.yt) || !this.isFiniteNumber(bbox.yb)) {
+            fail('The bounding box has invalid sides (xl: '+bbox.xl+', xr: '+bbox.xr+', yt: '+bbox.yt+', yb: '+bbox.yb+').');
+            }
+        if (!(bbox.xl < bbox.xr) || !(bbox.yt < bbox.yb)) {
+            fail('The bounding box is empty or inverted (xl: '+bbox.xl+', xr: '+bbox.xr+', yt: '+bbox.yt+', yb: '+bbox.yb+').');
+            }
+        }
     };
 
+// ---------------------------------------------------------------------------
+
 Voronoi.prototype.sqrt = Math.sqrt;
 Voronoi.prototype.abs = Math.abs;
 Voronoi.prototype.ε = Voronoi.ε = 1e-9;
 Voronoi.prototype.invε = Voronoi.invε = 1.0 / Voronoi.ε;
-Voronoi.prototype.equalWithEpsilon = function(a,b){return this.abs(a-b)<1e-9;};
-Voronoi.prototype.greaterThanWithEpsilon = function(a,b){return a-b>1e-9;};
-Voronoi.prototype.greaterThanOrEqualWithEpsilon = function(a,b){return b-a<1e-9;};
-Voronoi.prototype.lessThanWithEpsilon = function(a,b){return b-a>1e-9;};
-Voronoi.prototype.lessThanOrEqualWithEpsilon = function(a,b){return a-b<1e-9;};
+// below this, the orientation of three sites is deemed clockwise, see
+// Voronoi.attachCircleEvent()
+Voronoi.prototype.circleε = 2e-12;
+Voronoi.prototype.equalWithEpsilon = function(a,b){return this.abs(a-b)<this.ε;};
+Voronoi.prototype.greaterThanWithEpsilon = function(a,b){return a-b>this.ε;};
+Voronoi.prototype.greaterThanOrEqualWithEpsilon = function(a,b){return b-a<this.ε;};
+Voronoi.prototype.lessThanWithEpsilon = function(a,b){return b-a>this.ε;};
+Voronoi.prototype.lessThanOrEqualWithEpsilon = function(a,b){return a-b<this.ε;};
+
+// The tolerance used to compare coordinates, ε, defaults to Voronoi.ε, which
+// suits coordinates in the order of magnitude of screen pixels, scaled down
+// for sites which, along with the bounding box, span less than one unit, so
+// that tiny diagrams can be computed as well. For much larger or much
+// smaller coordinates, the tolerance can be set with the options of the
+// constructor:
+//   epsilon: an absolute tolerance
+//   relativeEpsilon: a tolerance relative to the magnitude of the
+//     coordinates of the sites and of the bounding box, such that
+//     ε = relativeEpsilon * max(|x|, |y|)
+// If both are set, the larger one is used. If only relativeEpsilon is set,
+// the absolute tolerance is 0. ε is set at the start of each computation.
+Voronoi.prototype.updateEpsilon = function(sites, bbox) {
+    var options = this.options,
+        relativeEpsilon = options.relativeEpsilon,
+        ε = options.epsilon,
+        extent = this.Diagram.prototype.getExtent(sites),
+        xl = extent.xl,
+        xr = extent.xr,
+        yt = extent.yt,
+        yb = extent.yb;
+    if (bbox) {
+        extent = this.Diagram.prototype.getExtent(bbox);
+        xl = Math.min(xl, extent.xl);
+        xr = Math.max(xr, extent.xr);
+        yt = Math.min(yt, extent.yt);
+        yb = Math.max(yb, extent.yb);
+        }
+    if (relativeEpsilon) {
+        ε = Math.max(ε || 0, relativeEpsilon*Math.max(-xl, xr, -yt, yb));
+        }
+    else if (ε === undefined) {
+        ε = Voronoi.ε*Math.min(1, Math.max(xr-xl, yb-yt));
+        }
+    if (!(ε > 0)) {
+        ε = Voronoi.ε;
+        }
+    this.ε = ε;
+    // an orientation is a product of coordinates, its tolerance scales with
+    // the square of ε
+    this.circleε = Voronoi.prototype.circleε*(ε/Voronoi.ε)*(ε/Voronoi.ε);
+    };
+
+// ---------------------------------------------------------------------------
+// Robust predicates
+//
+// In robust mode, see the 'robust' option of the constructor, the decisions
+// which shape the topology of the diagram, that is, whether three sites
+// converge to a vertex, where a new site falls on the beachline, and whether
+// several sites lie on the same circle, are taken from the exact sign of a
+// determinant, after J. R. Shewchuk, "Adaptive Precision Floating-Point
+// Arithmetic and Fast Robust Geometric Predicates" (1997): the determinant
+// is first evaluated with floating-point arithmetic, and only if the result
+// is too close to zero to be trusted, is it evaluated again exactly.
+// An exact value is an 'expansion', an array of non-overlapping doubles,
+// ordered by increasing magnitude, whose sum is the value.
+
+// 2^-53, the relative error of a floating-point operation
+Voronoi.prototype.machineε = Math.pow(2, -53);
+// 2^27+1, to split a double into two halves, see Voronoi.twoProduct()
+Voronoi.prototype.splitter = Math.pow(2, 27)+1;
+// Error bounds of the floating-point evaluation of the determinants, relative
+// to their permanent
+Voronoi.prototype.orientErrorBound = (3+16*Voronoi.prototype.machineε)*Voronoi.prototype.machineε;
+Voronoi.prototype.incircleErrorBound = (10+96*Voronoi.prototype.machineε)*Voronoi.prototype.machineε;
+Voronoi.prototype.breakpointErrorBound = 16*Voronoi.prototype.machineε;
+
+// Return a-b as an expansion
+Voronoi.prototype.twoDiff = function(a, b) {
+    var x = a-b,
+        bv = a-x,
+        av = x+bv;
+    return [(a-av)+(bv-b), x];
+    };
+
+// Return a+b as [error, sum]
+Voronoi.prototype.twoSum = function(a, b) {
+    var x = a+b,
+        bv = x-a,
+        av = x-bv;
+    return [(a-av)+(b-bv), x];
+    };
+
+// Return a*b as [error, product]
+Voronoi.prototype.twoProduct = function(a, b) {
+    var x = a*b,
+        c = this.splitter*a,
+        ahi = c-(c-a),
+        alo = a-ahi;
+    c = this.splitter*b;
+    var bhi = c-(c-b),
+        blo = b-bhi;
+    return [alo*blo-(((x-ahi*bhi)-alo*bhi)-ahi*blo), x];
+    };
+
+// Return the sum of two expansions
+Voronoi.prototype.expansionSum = function(e, f) {
+    var h = e,
+        iF, iH, q, sum, g;
+    for (iF=0; iF<f.length; iF++) {
+        // add a double to an expansion, discarding zero components
+        q = f[iF];
+        g = [];
+        for (iH=0; iH<h.length; iH++) {
+            sum = this.twoSum(q, h[iH]);
+            if (sum[0]) {
+                g.push(sum[0]);
+                }
+            q = sum[1];
+            }
+        if (q || !g.length) {
+            g.push(q);
+            }
+        h = g;
+        }
+    return h;
+    };
+
+// Return the product of two expansions
+Voronoi.prototype.expansionProduct = function(e, f) {
+    var h = [0],
+        iE, iF, g, product;
+    for (iF=0; iF<f.length; iF++) {
+        g = [];
+        for (iE=0; iE<e.length; iE++) {
+            product = this.twoProduct(e[iE], f[iF]);
+            g.push(product[0], product[1]);
+            }
+        h = this.expansionSum(h, g);
+        }
+    return h;
+    };
+
+Voronoi.prototype.expansionNegate = function(e) {
+    return e.map(function(x) {return -x;});
+    };
+
+// Return an approximation of the value of an expansion, of the same sign
+Voronoi.prototype.expansionEstimate = function(e) {
+    var value = 0;
+    for (var i=0; i<e.length; i++) {
+        value += e[i];
+        }
+    return value;
+    };
+
+// Return a positive value if a, b, c are in counterclockwise order, in a
+// frame where y points up (clockwise on screen), a negative value if they
+// are in clockwise order, and zero if they are collinear: that is, the
+// determinant
+//   | a.x-c.x  a.y-c.y |
+//   | b.x-c.x  b.y-c.y |
+Voronoi.prototype.orient = function(a, b, c) {
+    var detLeft = (a.x-c.x)*(b.y-c.y),
+        detRight = (a.y-c.y)*(b.x-c.x),
+        det = detLeft-detRight;
+    if (Math.abs(det) > this.orientErrorBound*(Math.abs(detLeft)+Math.abs(detRight))) {
+        return det;
+        }
+    return this.expansionEstimate(this.expansionSum(
+        this.expansionProduct(this.twoDiff(a.x, c.x), this.twoDiff(b.y, c.y)),
+        this.expansionNegate(this.expansionProduct(this.twoDiff(a.y, c.y), this.twoDiff(b.x, c.x)))
+        ));
+    };
+
+// Return a positive value if d lies inside the circle through a, b, c, a
+// negative value if it lies outside, and zero if the four points lie on
+// the same circle, when a, b, c are in counterclockwise order (see
+// Voronoi.orient()), the opposite otherwise.
+Voronoi.prototype.incircle = function(a, b, c, d) {
+    var adx = a.x-d.x, ady = a.y-d.y,
+        bdx = b.x-d.x, bdy = b.y-d.y,
+        cdx = c.x-d.x, cdy = c.y-d.y,
+        alift = adx*adx+ady*ady,
+        blift = bdx*bdx+bdy*bdy,
+        clift = cdx*cdx+cdy*cdy,
+        det = alift*(bdx*cdy-cdx*bdy)+blift*(cdx*ady-adx*cdy)+clift*(adx*bdy-bdx*ady),
+        permanent = alift*(Math.abs(bdx*cdy)+Math.abs(cdx*bdy))+
+            blift*(Math.abs(cdx*ady)+Math.abs(adx*cdy))+
+            clift*(Math.abs(adx*bdy)+Math.abs(bdx*ady));
+    if (Math.abs(det) > this.incircleErrorBound*permanent) {
+        return det;
+        }
+    var me = this,
+        lift = function(dx, dy) {
+            return me.expansionSum(me.expansionProduct(dx, dx), me.expansionProduct(dy, dy));
+            },
+        cross = function(dx1, dy1, dx2, dy2) {
+            return me.expansionSum(me.expansionProduct(dx1, dy2), me.expansionNegate(me.expansionProduct(dx2, dy1)));
+            };
+    adx = this.twoDiff(a.x, d.x);
+    ady = this.twoDiff(a.y, d.y);
+    bdx = this.twoDiff(b.x, d.x);
+    bdy = this.twoDiff(b.y, d.y);
+    cdx = this.twoDiff(c.x, d.x);
+    cdy = this.twoDiff(c.y, d.y);
+    return this.expansionEstimate(this.expansionSum(
+        this.expansionSum(
+            this.expansionProduct(lift(adx, ady), cross(bdx, bdy, cdx, cdy)),
+            this.expansionProduct(lift(bdx, bdy), cross(cdx, cdy, adx, ady))
+            ),
+        this.expansionProduct(lift(cdx, cdy), cross(adx, ady, bdx, bdy))
+        ));
+    };
+
+// Return the sign of site.x minus the x of the break point between the
+// parabolas of the sites p (to the left) and q (to the right), when the
+// directrix is at site.y, which is below both p and q. See
+// Voronoi.leftBreakPoint().
+// The parabola of p is above site when the circle through p, tangent to the
+// directrix at site, is smaller than the circle through q, that is when
+//   ((p.x-site.x)^2+(p.y-site.y)^2)*(site.y-q.y) < ((q.x-site.x)^2+(q.y-site.y)^2)*(site.y-p.y)
+// Two parabolas cross twice, and the one whose site is closest to the
+// directrix is the one above between the crossings, which surround its site.
+Voronoi.prototype.breakpointSide = function(p, q, site) {
+    // the break point is the left crossing, where q starts to be above
+    if (p.y < q.y && site.x >= q.x) {
+        return 1;
+        }
+    // the break point is the right crossing, where q stops being below
+    if (p.y > q.y && site.x <= p.x) {
+        return -1;
+        }
+    var dpx = p.x-site.x,
+        dp = site.y-p.y,
+        dqx = q.x-site.x,
+        dq = site.y-q.y,
+        pLift = dpx*dpx+dp*dp,
+        qLift = dqx*dqx+dq*dq,
+        det = pLift*dq-qLift*dp;
+    if (Math.abs(det) > this.breakpointErrorBound*(pLift*Math.abs(dq)+qLift*Math.abs(dp))) {
+        return det < 0 ? -1 : 1;
+        }
+    dpx = this.twoDiff(p.x, site.x);
+    dp = this.twoDiff(site.y, p.y);
+    dqx = this.twoDiff(q.x, site.x);
+    dq = this.twoDiff(site.y, q.y);
+    pLift = this.expansionSum(this.expansionProduct(dpx, dpx), this.expansionProduct(dp, dp));
+    qLift = this.expansionSum(this.expansionProduct(dqx, dqx), this.expansionProduct(dq, dq));
+    det = this.expansionEstimate(this.expansionSum(
+        this.expansionProduct(pLift, dq),
+        this.expansionNegate(this.expansionProduct(qLift, dp))
+        ));
+    return det < 0 ? -1 : (det > 0 ? 1 : 0);
+    };
+
+// Return the sign of site.x minus the x of the left break point of a beach
+// section, as Voronoi.leftBreakPoint() would, when the directrix is at
+// site.y, but exactly.
+Voronoi.prototype.leftBreakPointSide = function(arc, site) {
+    var directrix = site.y,
+        rSite = arc.site;
+    // parabola in degenerate case where focus is on directrix
+    if (rSite.y === directrix) {
+        return site.x < rSite.x ? -1 : (site.x > rSite.x ? 1 : 0);
+        }
+    var lArc = arc.rbPrevious;
+    if (!lArc) {
+        return 1;
+        }
+    var lSite = lArc.site;
+    if (lSite.y === directrix) {
+        return site.x < lSite.x ? -1 : (site.x > lSite.x ? 1 : 0);
+        }
+    return this.breakpointSide(lSite, rSite, site);
+    };
+
+// See Voronoi.leftBreakPointSide()
+Voronoi.prototype.rightBreakPointSide = function(arc, site) {
+    var rArc = arc.rbNext;
+    if (rArc) {
+        return this.leftBreakPointSide(rArc, site);
+        }
+    var lSite = arc.site;
+    if (lSite.y === site.y) {
+        return site.x < lSite.x ? -1 : (site.x > lSite.x ? 1 : 0);
+        }
+    return -1;
+    };
 
 // ---------------------------------------------------------------------------
 // Red-Black tree code (based on C version of "rbtree" by Franck Bui-Huu
@@ -423,6 +1030,532 @@ Voronoi.prototype.RBTree.prototype.getLast = function(node) {
 
 Voronoi.prototype.Diagram = function(site) {
     this.site = site;
+    // see Voronoi.addDuplicate()
+    this.duplicates = [];
+    // built on demand, see Voronoi.Diagram.getCellIndex() and
+    // Voronoi.Diagram.getNeighborIndex()
+    this.cellIndex = null;
+    this.neighborIndex = null;
+    // whether the halfedges are linked, see Voronoi.Diagram.link()
+    this.linked = false;
+    // see Voronoi.copySites(): the supplied sites and their copies, in the
+    // same order, and the maps between them, built on demand, see
+    // Voronoi.Diagram.getSiteCopy()
+    this.suppliedSites = this.siteCopies = null;
+    this.copiesBySite = this.sitesByCopy = null;
+    };
+
+Voronoi.Diagram = Voronoi.prototype.Diagram;
+
+// Link the halfedges of the diagram together into a doubly-connected edge
+// list, see Voronoi.linkCells(), and return the diagram. Computing a diagram
+// doesn't link its halfedges, as most uses of the diagram don't need it:
+// this is done on the first call only, with the tolerance of the
+// computation which created the cells.
+Voronoi.prototype.Diagram.prototype.link = function() {
+    if (this.linked) {
+        return this;
+        }
+    var voronoi = new Voronoi();
+    voronoi.ε = this.cells.length ? this.cells[0].ε : Voronoi.ε;
+    voronoi.cells = this.cells;
+    voronoi.linkCells();
+    this.linked = true;
+    return this;
+    };
+
+// Return a new diagram, clipped and closed using the supplied bounding box.
+// The options are those of the Voronoi constructor, see
+// Voronoi.updateEpsilon(). See Voronoi.clip().
+Voronoi.prototype.Diagram.prototype.clip = function(bbox, options) {
+    return new Voronoi(options).clip(this, bbox);
+    };
+
+// Return the cell containing the point (x, y), or null if the point lies
+// outside the diagram. A point on the perimeter of more than one cell, i.e.
+// on an edge or a vertex, is deemed to belong to the cell whose site has
+// the smallest voronoiId.
+// The first call builds an index of the cells (see
+// Voronoi.Diagram.getCellIndex()), from which a walk across the cells
+// leads to the one containing the point.
+Voronoi.prototype.Diagram.prototype.findCell = function(x, y) {
+    // the walk goes from cell to cell through the twins of their halfedges
+    this.link();
+    var index = this.getCellIndex();
+    if (!index.size) {
+        return null;
+        }
+    var cell = this.walkToSite(this.getStartCell(index, x, y), x, y);
+    // in an unclipped diagram, the cell of the site nearest to the point is
+    // the cell containing the point
+    if (!index.closed) {
+        return cell;
+        }
+    return this.walkToCell(cell, x, y, index.nCells);
+    };
+
+// Return the cell referred by the bucket of the index in which the point
+// (x, y) falls, or the nearest bucket.
+Voronoi.prototype.Diagram.prototype.getStartCell = function(index, x, y) {
+    var i = Math.floor((x-index.xmin)/index.dx),
+        j = Math.floor((y-index.ymin)/index.dy),
+        size = index.size;
+    if (i < 0) {i = 0;} else if (i >= size) {i = size-1;}
+    if (j < 0) {j = 0;} else if (j >= size) {j = size-1;}
+    return index.buckets[j*size+i];
+    };
+
+// Walk from cell to cell, always to the neighbor whose site is nearer to
+// the point (x, y), as per the power distance, until no neighbor is nearer.
+// Sites at the same distance are ordered by voronoiId.
+Voronoi.prototype.Diagram.prototype.walkToSite = function(cell, x, y) {
+    var site = cell.site,
+        dx = site.x-x,
+        dy = site.y-y,
+        d = dx*dx+dy*dy-(site.weight || 0),
+        best = cell,
+        halfedges, iHalfedge,
+        twin, dBest;
+    for (;;) {
+        dBest = d;
+        halfedges = cell.halfedges;
+        iHalfedge = halfedges.length;
+        while (iHalfedge--) {
+            twin = halfedges[iHalfedge].twin;
+            if (!twin) {continue;}
+            site = twin.site;
+            dx = site.x-x;
+            dy = site.y-y;
+            d = dx*dx+dy*dy-(site.weight || 0);
+            if (d < dBest || (d === dBest && site.voronoiId < best.site.voronoiId)) {
+                best = twin.cell;
+                dBest = d;
+                }
+            }
+        if (best === cell) {
+            return cell;
+            }
+        cell = best;
+        d = dBest;
+        }
+    };
+
+// Walk from cell to cell, in a closed diagram, always across an edge which
+// separates the current cell from the point (x, y), until the cell containing
+// the point is found. This returns null if the walk crosses the border of
+// the diagram, which is convex.
+Voronoi.prototype.Diagram.prototype.walkToCell = function(cell, x, y, maxSteps) {
+    var halfedges, iHalfedge,
+        halfedge,
+        p0, p1, r,
+        next;
+    while (maxSteps--) {
+        halfedges = cell.halfedges;
+        iHalfedge = halfedges.length;
+        next = null;
+        while (iHalfedge--) {
+            halfedge = halfedges[iHalfedge];
+            p0 = halfedge.getStartpoint();
+            p1 = halfedge.getEndpoint();
+            r = (y-p0.y)*(p1.x-p0.x)-(x-p0.x)*(p1.y-p0.y);
+            if (r > 0) {
+                if (!halfedge.twin) {
+                    return null;
+                    }
+                next = halfedge.twin.cell;
+                break;
+                }
+            }
+        if (!next) {
+            return this.getLowestCellAt(cell, x, y);
+            }
+        cell = next;
+        }
+    // the walk is going in circles, this can only be caused by numerical
+    // issues: fall back to checking all the cells
+    var cells = this.cells,
+        nCells = cells.length,
+        iCell;
+    for (iCell=0; iCell<nCells; iCell++) {
+        cell = cells[iCell];
+        if (cell.site && cell.halfedges.length && cell.pointIntersection(x, y) >= 0) {
+            return cell;
+            }
+        }
+    return null;
+    };
+
+// The point (x, y) is in the supplied cell: if it is on an edge or a vertex,
+// return the cell sharing it whose site has the smallest voronoiId.
+Voronoi.prototype.Diagram.prototype.getLowestCellAt = function(cell, x, y) {
+    if (cell.pointIntersection(x, y) > 0) {
+        return cell;
+        }
+    var best = cell,
+        halfedges = cell.halfedges,
+        iHalfedge = halfedges.length,
+        vertex,
+        around, iAround,
+        other;
+    while (iHalfedge--) {
+        // all the cells around the start point, which are the only ones
+        // which can share a point with the cell
+        vertex = halfedges[iHalfedge].getStartpoint();
+        around = vertex.halfedges || [];
+        iAround = around.length;
+        while (iAround--) {
+            other = around[iAround].cell;
+            if (other.site.voronoiId < best.site.voronoiId && other.pointIntersection(x, y) >= 0) {
+                best = other;
+                }
+            }
+        }
+    return best;
+    };
+
+// Return the k sites nearest to the point (x, y), nearest first, as per the
+// distance which defines the diagram, i.e. the power distance when sites
+// are weighted. Sites at the same distance are ordered by voronoiId.
+// Duplicate sites, and sites outweighed by their neighbors in a power
+// diagram, are never reported, since they have no cell.
+// The search starts from the nearest site, then expands to the neighbors of
+// the sites found so far, since the next nearest site is always a neighbor
+// of one of them. This doesn't hold for the power distance, in which case
+// all the sites are ranked.
+Voronoi.prototype.Diagram.prototype.nearestSites = function(x, y, k) {
+    var index = this.getCellIndex(),
+        nearest = [];
+    if (!index.size || !(k > 0)) {
+        return nearest;
+        }
+    if (index.weighted) {
+        return this.rankSites(x, y, k).map(this.getSuppliedSite, this);
+        }
+    var neighbors = this.getNeighborIndex();
+    var site = this.getStartCell(index, x, y).site,
+        d = this.getPowerDistance(site, x, y),
+        sites, iSite,
+        other, dOther,
+        better;
+    // walk to the nearest site
+    for (;;) {
+        better = null;
+        sites = neighbors[site.voronoiId];
+        iSite = sites.length;
+        while (iSite--) {
+            other = sites[iSite];
+            dOther = this.getPowerDistance(other, x, y);
+            if (dOther < d || (dOther === d && other.voronoiId < site.voronoiId)) {
+                better = other;
+                d = dOther;
+                }
+            }
+        if (!better) {break;}
+        site = better;
+        }
+    // best-first expansion, the candidates are kept ordered from farthest
+    // to nearest
+    var candidates = [site],
+        distances = [d],
+        seen = [],
+        lo, hi, mid;
+    seen[site.voronoiId] = true;
+    while (candidates.length && nearest.length < k) {
+        site = candidates.pop();
+        distances.pop();
+        nearest.push(site);
+        sites = neighbors[site.voronoiId];
+        iSite = sites.length;
+        while (iSite--) {
+            other = sites[iSite];
+            if (seen[other.voronoiId]) {continue;}
+            seen[other.voronoiId] = true;
+            dOther = this.getPowerDistance(other, x, y);
+            lo = 0;
+            hi = candidates.length;
+            while (lo < hi) {
+                mid = (lo+hi) >> 1;
+                if (distances[mid] > dOther || (distances[mid] === dOther && candidates[mid].voronoiId > other.voronoiId)) {
+                    lo = mid+1;
+                    }
+                else {
+                    hi = mid;
+                    }
+                }
+            candidates.splice(lo, 0, other);
+            distances.splice(lo, 0, dOther);
+            }
+        }
+    return nearest.map(this.getSuppliedSite, this);
+    };
+
+// Return the k sites nearest to the point (x, y), found by ranking the sites
+// of all the cells.
+Voronoi.prototype.Diagram.prototype.rankSites = function(x, y, k) {
+    var cells = this.cells,
+        nCells = cells.length,
+        iCell,
+        ranked = [],
+        site;
+    for (iCell=0; iCell<nCells; iCell++) {
+        site = cells[iCell].site;
+        if (!site || !cells[iCell].halfedges.length) {continue;}
+        ranked.push({site: site, d: this.getPowerDistance(site, x, y)});
+        }
+    ranked.sort(function(a,b){
+        return a.d-b.d || a.site.voronoiId-b.site.voronoiId;
+        });
+    if (ranked.length > k) {
+        ranked.length = k;
+        }
+    return ranked.map(function(entry){return entry.site;});
+    };
+
+// Return the natural neighbors of a site, i.e. the sites whose cell would
+// share an edge with the cell of the site if the diagram was not clipped.
+Voronoi.prototype.Diagram.prototype.naturalNeighbors = function(site) {
+    site = this.getSiteCopy(site);
+    var neighbors = this.getNeighborIndex()[site.voronoiId];
+    return neighbors && this.cells[site.voronoiId].site === site ? neighbors.map(this.getSuppliedSite, this) : [];
+    };
+
+// Return the copy from which the diagram was computed of a supplied site,
+// or the site itself if the sites weren't copied, see Voronoi.copySites().
+Voronoi.prototype.Diagram.prototype.getSiteCopy = function(site) {
+    if (!this.siteCopies) {
+        return site;
+        }
+    if (!this.copiesBySite) {
+        this.mapSiteCopies();
+        }
+    return this.copiesBySite.get(site) || site;
+    };
+
+// Return the supplied site of which a site of the diagram is a copy, or the
+// site itself if the sites weren't copied, see Voronoi.copySites().
+Voronoi.prototype.Diagram.prototype.getSuppliedSite = function(site) {
+    if (!this.siteCopies) {
+        return site;
+        }
+    if (!this.sitesByCopy) {
+        this.mapSiteCopies();
+        }
+    return this.sitesByCopy.get(site) || site;
+    };
+
+Voronoi.prototype.Diagram.prototype.mapSiteCopies = function() {
+    var sites = this.suppliedSites,
+        copies = this.siteCopies,
+        iSite = sites.length;
+    this.copiesBySite = new Map();
+    this.sitesByCopy = new Map();
+    while (iSite--) {
+        this.copiesBySite.set(sites[iSite], copies[iSite]);
+        this.sitesByCopy.set(copies[iSite], sites[iSite]);
+        }
+    };
+
+// Return a Map from the ids of the sites, as read from their 'idProperty'
+// property ('id' by default), to their cells. The id of a duplicate site
+// maps to the cell it shares, see Voronoi.addDuplicate().
+Voronoi.prototype.Diagram.prototype.getCellMap = function(idProperty) {
+    if (idProperty === undefined) {
+        idProperty = 'id';
+        }
+    var map = new Map(),
+        cells = this.cells,
+        nCells = cells.length,
+        iCell,
+        duplicates = this.duplicates || [],
+        nDuplicates = duplicates.length,
+        iDuplicate,
+        site;
+    for (iCell=0; iCell<nCells; iCell++) {
+        site = cells[iCell].site;
+        if (site) {
+            map.set(site[idProperty], cells[iCell]);
+            }
+        }
+    for (iDuplicate=0; iDuplicate<nDuplicates; iDuplicate++) {
+        site = duplicates[iDuplicate].site;
+        map.set(site[idProperty], cells[this.getSiteCopy(duplicates[iDuplicate].into).voronoiId]);
+        }
+    return map;
+    };
+
+Voronoi.prototype.Diagram.prototype.getPowerDistance = function(site, x, y) {
+    var dx = site.x-x,
+        dy = site.y-y;
+    return dx*dx+dy*dy-(site.weight || 0);
+    };
+
+// Return the neighboring sites of each site, indexed by voronoiId, building
+// them if needed. Cells sharing an edge are neighbors, and so are the sites
+// joined by an edge of a Delaunay triangle, for the sake of cells which
+// would share an edge if the diagram was not clipped. Cocircular sites are
+// split into triangles by diagonals, whose dual Voronoi edge has no length:
+// these don't make neighbors.
+Voronoi.prototype.Diagram.prototype.getNeighborIndex = function() {
+    if (this.neighborIndex) {
+        return this.neighborIndex;
+        }
+    var cells = this.cells,
+        nCells = cells.length,
+        iCell,
+        cell,
+        neighbors = [],
+        ids, iId;
+    for (iCell=0; iCell<nCells; iCell++) {
+        cell = cells[iCell];
+        if (!cell.site) {continue;}
+        neighbors[iCell] = [];
+        ids = cell.getNeighborIds();
+        iId = ids.length;
+        while (iId--) {
+            neighbors[iCell].push(cells[ids[iId]].site);
+            }
+        }
+    // the sites opposite to each edge of the triangles
+    var triangles = this.triangles || [],
+        nTriangles = triangles.length,
+        iTriangle,
+        triangle,
+        opposites = {},
+        pairs = [],
+        addOpposite = function(a, b, c) {
+            var key = a.voronoiId < b.voronoiId ? a.voronoiId+','+b.voronoiId : b.voronoiId+','+a.voronoiId,
+                pair = opposites[key];
+            if (!pair) {
+                pair = opposites[key] = {a: a, b: b, opposites: []};
+                pairs.push(pair);
+                }
+            pair.opposites.push(c);
+            },
+        iPair,
+        pair;
+    for (iTriangle=0; iTriangle<nTriangles; iTriangle++) {
+        triangle = triangles[iTriangle];
+        addOpposite(triangle.a, triangle.b, triangle.c);
+        addOpposite(triangle.b, triangle.c, triangle.a);
+        addOpposite(triangle.c, triangle.a, triangle.b);
+        }
+    for (iPair=0; iPair<pairs.length; iPair++) {
+        pair = pairs[iPair];
+        if (pair.opposites.length === 2 && this.isCocircular(pair.a, pair.b, pair.opposites[0], pair.opposites[1])) {
+            continue;
+            }
+        this.addNeighbors(neighbors, pair.a, pair.b);
+        }
+    this.neighborIndex = neighbors;
+    return neighbors;
+    };
+
+// Return whether the site d lies on the circle through the sites a, b and c,
+// within the roundoff of the computation, or, for weighted sites, on the
+// circle orthogonal to the circles of a, b and c.
+Voronoi.prototype.Diagram.prototype.isCocircular = function(a, b, c, d) {
+    var adx = a.x-d.x,
+        ady = a.y-d.y,
+        bdx = b.x-d.x,
+        bdy = b.y-d.y,
+        cdx = c.x-d.x,
+        cdy = c.y-d.y,
+        wd = d.weight || 0,
+        alift = adx*adx+ady*ady-(a.weight || 0)+wd,
+        blift = bdx*bdx+bdy*bdy-(b.weight || 0)+wd,
+        clift = cdx*cdx+cdy*cdy-(c.weight || 0)+wd,
+        abs_fn = Math.abs,
+        det = alift*(bdx*cdy-bdy*cdx)+blift*(cdx*ady-cdy*adx)+clift*(adx*bdy-ady*bdx),
+        permanent = abs_fn(alift)*(abs_fn(bdx*cdy)+abs_fn(bdy*cdx))+
+            abs_fn(blift)*(abs_fn(cdx*ady)+abs_fn(cdy*adx))+
+            abs_fn(clift)*(abs_fn(adx*bdy)+abs_fn(ady*bdx));
+    return abs_fn(det) <= 1e-10*permanent;
+    };
+
+Voronoi.prototype.Diagram.prototype.addNeighbors = function(neighbors, a, b) {
+    if (neighbors[a.voronoiId].indexOf(b) < 0) {
+        neighbors[a.voronoiId].push(b);
+        neighbors[b.voronoiId].push(a);
+        }
+    };
+
+// Return the index used by Voronoi.Diagram.findCell(), building it if
+// needed. The index is a grid covering the sites, with about one site per
+// bucket, each bucket referring to a cell from which to start the walk.
+Voronoi.prototype.Diagram.prototype.getCellIndex = function() {
+    if (this.cellIndex) {
+        return this.cellIndex;
+        }
+    var cells = this.cells,
+        nCells = cells.length,
+        iCell,
+        cell,
+        indexed = [],
+        xmin = Infinity,
+        ymin = Infinity,
+        xmax = -Infinity,
+        ymax = -Infinity,
+        weighted = false,
+        site;
+    for (iCell=0; iCell<nCells; iCell++) {
+        cell = cells[iCell];
+        site = cell.site;
+        if (!site || !cell.halfedges.length) {continue;}
+        if (indexed.length && (site.weight || 0) !== (indexed[0].site.weight || 0)) {
+            weighted = true;
+            }
+        indexed.push(cell);
+        if (site.x < xmin) {xmin = site.x;}
+        if (site.y < ymin) {ymin = site.y;}
+        if (site.x > xmax) {xmax = site.x;}
+        if (site.y > ymax) {ymax = site.y;}
+        }
+    var nIndexed = indexed.length,
+        size = Math.ceil(Math.sqrt(nIndexed)),
+        index = {
+            size: size,
+            xmin: xmin,
+            ymin: ymin,
+            dx: (xmax-xmin)/size || 1,
+            dy: (ymax-ymin)/size || 1,
+            buckets: new Array(size*size),
+            nCells: nIndexed,
+            weighted: weighted,
+            closed: true
+            },
+        buckets = index.buckets,
+        iBucket, nBuckets = buckets.length,
+        i, j;
+    for (iCell=0; iCell<nIndexed; iCell++) {
+        cell = indexed[iCell];
+        i = Math.min(Math.floor((cell.site.x-xmin)/index.dx), size-1);
+        j = Math.min(Math.floor((cell.site.y-ymin)/index.dy), size-1);
+        if (!buckets[j*size+i]) {
+            buckets[j*size+i] = cell;
+            }
+        }
+    // empty buckets refer to the cell of the preceding bucket
+    cell = null;
+    for (iBucket=0; iBucket<nBuckets; iBucket++) {
+        if (buckets[iBucket]) {cell = buckets[iBucket];}
+        else {buckets[iBucket] = cell;}
+        }
+    iBucket = nBuckets;
+    while (iBucket--) {
+        if (buckets[iBucket]) {cell = buckets[iBucket];}
+        else {buckets[iBucket] = cell;}
+        }
+    // an unclipped diagram has edges extending to infinity
+    var edges = this.edges,
+        iEdge = edges.length;
+    while (iEdge--) {
+        if (!edges[iEdge].va || !edges[iEdge].vb) {
+            index.closed = false;
+            break;
+            }
+        }
+    this.cellIndex = index;
+    return index;
     };
 
 // ---------------------------------------------------------------------------
@@ -432,6 +1565,9 @@ Voronoi.prototype.Cell = function(site) {
     this.site = site;
     this.halfedges = [];
     this.closeMe = false;
+    // the tolerance of the computation which created the cell, see
+    // Voronoi.updateEpsilon()
+    this.ε = Voronoi.ε;
     };
 
 Voronoi.prototype.Cell.prototype.init = function(site) {
@@ -444,9 +1580,13 @@ Voronoi.prototype.Cell.prototype.init = function(site) {
 Voronoi.prototype.createCell = function(site) {
     var cell = this.cellJunkyard.pop();
     if ( cell ) {
-        return cell.init(site);
+        cell.init(site);
+        }
+    else {
+        cell = new this.Cell(site);
         }
-    return new this.Cell(site);
+    cell.ε = this.ε;
+    return cell;
     };
 
 Voronoi.prototype.Cell.prototype.prepareHalfedges = function() {
@@ -518,41 +1658,201 @@ Voronoi.prototype.Cell.prototype.getBbox = function() {
         };
     };
 
-// Return whether a point is inside, on, or outside the cell:
-//   -1: point is outside the perimeter of the cell
-//    0: point is on the perimeter of the cell
-//    1: point is inside the perimeter of the cell
-//
-Voronoi.prototype.Cell.prototype.pointIntersection = function(x, y) {
-    // Check if point in polygon. Since all polygons of a Voronoi
-    // diagram are convex, then:
-    // http://paulbourke.net/geometry/polygonmesh/
-    // Solution 3 (2D):
-    //   "If the polygon is convex then one can consider the polygon
-    //   "as a 'path' from the first vertex. A point is on the interior
-    //   "of this polygons if it is always on the same side of all the
-    //   "line segments making up the path. ...
-    //   "(y - y0) (x1 - x0) - (x - x0) (y1 - y0)
-    //   "if it is less than 0 then P is to the right of the line segment,
-    //   "if greater than 0 it is to the left, if equal to 0 then it lies
-    //   "on the line segment"
+// Return whether the cell is closed, i.e. whether its halfedges form a
+// polygon, up to the tolerance of the computation. The cells of an
+// unclipped diagram are typically not closed.
+Voronoi.prototype.Cell.prototype.isClosed = function() {
     var halfedges = this.halfedges,
-        iHalfedge = halfedges.length,
-        halfedge,
-        p0, p1, r;
-    while (iHalfedge--) {
-        halfedge = halfedges[iHalfedge];
-        p0 = halfedge.getStartpoint();
-        p1 = halfedge.getEndpoint();
-        r = (y-p0.y)*(p1.x-p0.x)-(x-p0.x)*(p1.y-p0.y);
-        if (!r) {
-            return 0;
+        nHalfedges = halfedges.length,
+        iHalfedge,
+        va, vb,
+        ε = this.ε;
+    if (nHalfedges < 3) {
+        return false;
+        }
+    for (iHalfedge=0; iHalfedge<nHalfedges; iHalfedge++) {
+        va = halfedges[iHalfedge].getEndpoint();
+        vb = halfedges[(iHalfedge+1) % nHalfedges].getStartpoint();
+        if (!va || !vb) {
+            return false;
             }
+        if (va !== vb && (Math.abs(va.x-vb.x) >= ε || Math.abs(va.y-vb.y) >= ε)) {
+            return false;
+            }
+        }
+    return true;
+    };
+
+// Return whether the cell is bounded by the border of the diagram, i.e. by
+// the bounding box or polygon used to close it. A cell which isn't closed
+// extends beyond any border, and as such is deemed to touch it.
+Voronoi.prototype.Cell.prototype.touchesBorder = function() {
+    var halfedges = this.halfedges,
+        iHalfedge = halfedges.length;
+    while (iHalfedge--) {
+        if (!halfedges[iHalfedge].edge.rSite) {
+            return true;
+            }
+        }
+    return halfedges.length > 0 && !this.isClosed();
+    };
+
+// Return the vertices of the cell, ordered counterclockwise. For a closed
+// cell, this is the polygon of the cell. For a cell which isn't closed, this
+// is the chain of vertices from one open end to the other.
+Voronoi.prototype.Cell.prototype.getVertices = function() {
+    var halfedges = this.halfedges,
+        nHalfedges = halfedges.length,
+        iHalfedge,
+        first = 0,
+        vertices = [],
+        va, vb;
+    // start after the gap, if any, so that the chain isn't split
+    for (iHalfedge=0; iHalfedge<nHalfedges; iHalfedge++) {
+        if (!halfedges[iHalfedge].getStartpoint()) {
+            first = iHalfedge;
+            break;
+            }
+        }
+    for (iHalfedge=0; iHalfedge<nHalfedges; iHalfedge++) {
+        va = halfedges[(first+iHalfedge) % nHalfedges].getStartpoint();
+        if (va) {
+            vertices.push(va);
+            }
+        }
+    // the end point of the last halfedge of an open chain
+    vb = halfedges.length ? halfedges[(first+nHalfedges-1) % nHalfedges].getEndpoint() : null;
+    if (vb && vertices.indexOf(vb) < 0) {
+        vertices.push(vb);
+        }
+    return vertices;
+    };
+
+// Return the area of the cell, Infinity if the cell isn't closed.
+// Coordinates are taken relative to the first vertex, which avoids losing
+// precision for small or thin cells far from the origin.
+Voronoi.prototype.Cell.prototype.getArea = function() {
+    if (!this.halfedges.length) {
+        return 0;
+        }
+    if (!this.isClosed()) {
+        return Infinity;
+        }
+    var vertices = this.getVertices(),
+        nVertices = vertices.length,
+        iVertex,
+        x0 = vertices[0].x,
+        y0 = vertices[0].y,
+        x1, y1, x2, y2,
+        area = 0;
+    for (iVertex=2; iVertex<nVertices; iVertex++) {
+        x1 = vertices[iVertex-1].x-x0;
+        y1 = vertices[iVertex-1].y-y0;
+        x2 = vertices[iVertex].x-x0;
+        y2 = vertices[iVertex].y-y0;
+        area += x2*y1-x1*y2;
+        }
+    // halfedges are counterclockwise with the y axis pointing downward
+    return area/2;
+    };
+
+// Return the centroid of the cell, an object with an 'x' and a 'y'
+// property, or null if the cell isn't closed. The centroid of a degenerate
+// cell, with no area, is the average of its vertices.
+Voronoi.prototype.Cell.prototype.getCentroid = function() {
+    if (!this.isClosed()) {
+        return null;
+        }
+    var vertices = this.getVertices(),
+        nVertices = vertices.length,
+        iVertex,
+        x0 = vertices[0].x,
+        y0 = vertices[0].y,
+        x1, y1, x2, y2,
+        a,
+        area = 0,
+        x = 0,
+        y = 0;
+    for (iVertex=2; iVertex<nVertices; iVertex++) {
+        x1 = vertices[iVertex-1].x-x0;
+        y1 = vertices[iVertex-1].y-y0;
+        x2 = vertices[iVertex].x-x0;
+        y2 = vertices[iVertex].y-y0;
+        a = x2*y1-x1*y2;
+        area += a;
+        x += (x1+x2)*a;
+        y += (y1+y2)*a;
+        }
+    if (!area) {
+        for (iVertex=1; iVertex<nVertices; iVertex++) {
+            x += vertices[iVertex].x-x0;
+            y += vertices[iVertex].y-y0;
+            }
+        return {x: x0+x/nVertices, y: y0+y/nVertices};
+        }
+    return {x: x0+x/(3*area), y: y0+y/(3*area)};
+    };
+
+// Return the perimeter of the cell, Infinity if the cell isn't closed.
+Voronoi.prototype.Cell.prototype.getPerimeter = function() {
+    if (!this.halfedges.length) {
+        return 0;
+        }
+    if (!this.isClosed()) {
+        return Infinity;
+        }
+    var halfedges = this.halfedges,
+        iHalfedge = halfedges.length,
+        edge,
+        dx, dy,
+        perimeter = 0;
+    while (iHalfedge--) {
+        edge = halfedges[iHalfedge].edge;
+        dx = edge.vb.x-edge.va.x;
+        dy = edge.vb.y-edge.va.y;
+        perimeter += Math.sqrt(dx*dx+dy*dy);
+        }
+    return perimeter;
+    };
+
+// Return whether a point is inside, on, or outside the cell:
+//   -1: point is outside the perimeter of the cell
+//    0: point is on the perimeter of the cell
+//    1: point is inside the perimeter of the cell
+//
+Voronoi.prototype.Cell.prototype.pointIntersection = function(x, y) {
+    // Check if point in polygon. Since all polygons of a Voronoi
+    // diagram are convex, then:
+    // http://paulbourke.net/geometry/polygonmesh/
+    // Solution 3 (2D):
+    //   "If the polygon is convex then one can consider the polygon
+    //   "as a 'path' from the first vertex. A point is on the interior
+    //   "of this polygons if it is always on the same side of all the
+    //   "line segments making up the path. ...
+    //   "(y - y0) (x1 - x0) - (x - x0) (y1 - y0)
+    //   "if it is less than 0 then P is to the right of the line segment,
+    //   "if greater than 0 it is to the left, if equal to 0 then it lies
+    //   "on the line segment"
+    var halfedges = this.halfedges,
+        iHalfedge = halfedges.length,
+        halfedge,
+        p0, p1, r,
+        result = 1;
+    while (iHalfedge--) {
+        halfedge = halfedges[iHalfedge];
+        p0 = halfedge.getStartpoint();
+        p1 = halfedge.getEndpoint();
+        r = (y-p0.y)*(p1.x-p0.x)-(x-p0.x)*(p1.y-p0.y);
         if (r > 0) {
             return -1;
             }
+        // a point on the line of an edge is on the perimeter only if it is
+        // not outside any of the other edges
+        if (!r) {
+            result = 0;
+            }
         }
-    return 1;
+    return result;
     };
 
 // ---------------------------------------------------------------------------
@@ -562,6 +1862,7 @@ Voronoi.prototype.Cell.prototype.pointIntersection = function(x, y) {
 Voronoi.prototype.Vertex = function(x, y) {
     this.x = x;
     this.y = y;
+    this.halfedges = null;
     };
 
 Voronoi.prototype.Edge = function(lSite, rSite) {
@@ -570,9 +1871,28 @@ Voronoi.prototype.Edge = function(lSite, rSite) {
     this.va = this.vb = null;
     };
 
+// Return the direction of the edge, going from va to vb. This is how
+// dangling edges of an unclipped diagram are to be interpreted:
+//   va and vb defined: a segment
+//   vb undefined: a ray starting at va
+//   va and vb undefined: a line through the midpoint of lSite and rSite, see
+//     Voronoi.bisectorOrigin()
+// The returned vector is not normalized.
+Voronoi.prototype.Edge.prototype.getDirection = function() {
+    var lSite = this.lSite,
+        rSite = this.rSite;
+    // border edges are always segments
+    if (!rSite) {
+        return {x: this.vb.x-this.va.x, y: this.vb.y-this.va.y};
+        }
+    return {x: rSite.y-lSite.y, y: lSite.x-rSite.x};
+    };
+
 Voronoi.prototype.Halfedge = function(edge, lSite, rSite) {
     this.site = lSite;
     this.edge = edge;
+    // links to the surrounding halfedges, see Voronoi.Diagram.link()
+    this.cell = this.twin = this.next = this.prev = null;
     // 'angle' is a value to be used for properly sorting the
     // halfsegments counterclockwise. By convention, we will
     // use the angle of the line defined by the 'site to the left'
@@ -606,6 +1926,40 @@ Voronoi.prototype.Halfedge.prototype.getEndpoint = function() {
     return this.edge.lSite === this.site ? this.edge.vb : this.edge.va;
     };
 
+// Return the direction of the halfedge, going from its start point to its
+// end point. See Voronoi.Edge.getDirection().
+Voronoi.prototype.Halfedge.prototype.getDirection = function() {
+    var d = this.edge.getDirection();
+    if (this.edge.lSite !== this.site) {
+        d.x = -d.x;
+        d.y = -d.y;
+        }
+    return d;
+    };
+
+// ---------------------------------------------------------------------------
+// Triangle methods
+//
+// A Delaunay triangle is the dual of a Voronoi vertex: its three sites are
+// the sites whose cells meet at that vertex.
+
+Voronoi.prototype.Triangle = function(a, b, c) {
+    this.a = a;
+    this.b = b;
+    this.c = c;
+    };
+
+// this create and add a Delaunay triangle to the internal collection.
+// Sites are stored counterclockwise, using the same convention as the
+// halfedges of a cell.
+
+Voronoi.prototype.createTriangle = function(a, b, c) {
+    var d = (b.x-a.x)*(c.y-a.y)-(b.y-a.y)*(c.x-a.x);
+    // collinear sites do not define a triangle
+    if (!d) {return;}
+    this.triangles.push(d < 0 ? new this.Triangle(a, b, c) : new this.Triangle(a, c, b));
+    };
+
 
 
 // this create and add a vertex to the internal collection
@@ -618,6 +1972,7 @@ Voronoi.prototype.createVertex = function(x, y) {
     else {
         v.x = x;
         v.y = y;
+        v.halfedges = null;
         }
     this.vertices.push(v);
     return v;
@@ -801,7 +2156,12 @@ Voronoi.prototype.removeBeachsection = function(beachsection) {
         previous = beachsection.rbPrevious,
         next = beachsection.rbNext,
         disappearingTransitions = [beachsection],
-        abs_fn = Math.abs;
+        abs_fn = Math.abs,
+        ε = this.ε,
+        robust = this.robust,
+        lSite = previous.site,
+        cSite = beachsection.site,
+        rSite = next.site;
 
     // remove collapsed beachsection from beachline
     this.detachBeachsection(beachsection);
@@ -816,8 +2176,12 @@ Voronoi.prototype.removeBeachsection = function(beachsection) {
     // on their left/right side.
 
     // look left
+    // In robust mode, the circle event of an adjacent beach section is at
+    // the same point if its sites lie exactly on the same circle.
     var lArc = previous;
-    while (lArc.circleEvent && abs_fn(x-lArc.circleEvent.x)<1e-9 && abs_fn(y-lArc.circleEvent.ycenter)<1e-9) {
+    while (lArc.circleEvent && (robust ?
+            !this.incircle(lSite, cSite, rSite, lArc.rbPrevious.site) :
+            abs_fn(x-lArc.circleEvent.x)<ε && abs_fn(y-lArc.circleEvent.ycenter)<ε)) {
         previous = lArc.rbPrevious;
         disappearingTransitions.unshift(lArc);
         this.detachBeachsection(lArc); // mark for reuse
@@ -832,7 +2196,9 @@ Voronoi.prototype.removeBeachsection = function(beachsection) {
 
     // look right
     var rArc = next;
-    while (rArc.circleEvent && abs_fn(x-rArc.circleEvent.x)<1e-9 && abs_fn(y-rArc.circleEvent.ycenter)<1e-9) {
+    while (rArc.circleEvent && (robust ?
+            !this.incircle(lSite, cSite, rSite, rArc.rbNext.site) :
+            abs_fn(x-rArc.circleEvent.x)<ε && abs_fn(y-rArc.circleEvent.ycenter)<ε)) {
         next = rArc.rbNext;
         disappearingTransitions.push(rArc);
         this.detachBeachsection(rArc); // mark for reuse
@@ -854,6 +2220,14 @@ Voronoi.prototype.removeBeachsection = function(beachsection) {
         this.setEdgeStartpoint(rArc.edge, lArc.site, rArc.site, vertex);
         }
 
+    // the sites of the disappearing transitions all lie on the circle
+    // centered on the new vertex: they define one Delaunay triangle, or
+    // a convex polygon in case of cocircular sites, which is fanned out
+    // into triangles.
+    for (iArc=2; iArc<nArcs; iArc++) {
+        this.createTriangle(disappearingTransitions[0].site, disappearingTransitions[iArc-1].site, disappearingTransitions[iArc].site);
+        }
+
     // create a new edge as we have now a new transition between
     // two beach sections which were previously not adjacent.
     // since this edge appears as a new vertex is defined, the vertex
@@ -877,14 +2251,17 @@ Voronoi.prototype.addBeachsection = function(site) {
     // created beach section.
     // rhill 2011-06-01: This loop is one of the most often executed,
     // hence we expand in-place the comparison-against-epsilon calls.
+    // In robust mode, only the sign of dxl and dxr is computed, exactly.
     var lArc, rArc,
         dxl, dxr,
+        robust = this.robust,
+        ε = robust ? 0 : this.ε,
         node = this.beachline.root;
 
     while (node) {
-        dxl = this.leftBreakPoint(node,directrix)-x;
+        dxl = robust ? -this.leftBreakPointSide(node,site) : this.leftBreakPoint(node,directrix)-x;
         // x lessThanWithEpsilon xl => falls somewhere before the left edge of the beachsection
-        if (dxl > 1e-9) {
+        if (dxl > ε) {
             // this case should never happen
             // if (!node.rbLeft) {
             //    rArc = node.rbLeft;
@@ -893,9 +2270,9 @@ Voronoi.prototype.addBeachsection = function(site) {
             node = node.rbLeft;
             }
         else {
-            dxr = x-this.rightBreakPoint(node,directrix);
+            dxr = robust ? this.rightBreakPointSide(node,site) : x-this.rightBreakPoint(node,directrix);
             // x greaterThanWithEpsilon xr => falls somewhere after the right edge of the beachsection
-            if (dxr > 1e-9) {
+            if (dxr > ε) {
                 if (!node.rbRight) {
                     lArc = node;
                     break;
@@ -904,12 +2281,12 @@ Voronoi.prototype.addBeachsection = function(site) {
                 }
             else {
                 // x equalWithEpsilon xl => falls exactly on the left edge of the beachsection
-                if (dxl > -1e-9) {
+                if (dxl > -ε) {
                     lArc = node.rbPrevious;
                     rArc = node;
                     }
                 // x equalWithEpsilon xr => falls exactly on the right edge of the beachsection
-                else if (dxr > -1e-9) {
+                else if (dxr > -ε) {
                     lArc = node;
                     rArc = node.rbNext;
                     }
@@ -1030,6 +2407,9 @@ Voronoi.prototype.addBeachsection = function(site) {
         // one transition disappear
         this.setEdgeStartpoint(rArc.edge, lSite, rSite, vertex);
 
+        // the vertex is the center of a Delaunay triangle
+        this.createTriangle(lSite, site, rSite);
+
         // two new transitions appear at the new vertex location
         newArc.edge = this.createEdge(lSite, site, undefined, vertex);
         rArc.edge = this.createEdge(site, rSite, undefined, vertex);
@@ -1095,8 +2475,9 @@ Voronoi.prototype.attachCircleEvent = function(arc) {
     // http://en.wikipedia.org/wiki/Curve_orientation#Orientation_of_a_simple_polygon
     // rhill 2011-05-21: Nasty finite precision error which caused circumcircle() to
     // return infinites: 1e-12 seems to fix the problem.
-    var d = 2*(ax*cy-ay*cx);
-    if (d >= -2e-12){return;}
+    // In robust mode, the sign of the orientation is exact.
+    var d = this.robust ? 2*this.orient(lSite, rSite, cSite) : 2*(ax*cy-ay*cx);
+    if (d >= (this.robust ? 0 : -this.circleε)){return;}
 
     var ha = ax*ax+ay*ay,
         hc = cx*cx+cy*cy,
@@ -1115,7 +2496,11 @@ Voronoi.prototype.attachCircleEvent = function(arc) {
     circleEvent.arc = arc;
     circleEvent.site = cSite;
     circleEvent.x = x+bx;
-    circleEvent.y = ycenter+this.sqrt(x*x+y*y); // y bottom
+    // y bottom
+    // In robust mode, when the center is far above the sites, its y and the
+    // radius nearly cancel out, hence y+r is computed as x*x/(r-y).
+    var r = this.sqrt(x*x+y*y);
+    circleEvent.y = this.robust && y < 0 ? by+x*x/(r-y) : ycenter+r;
     circleEvent.ycenter = ycenter;
     arc.circleEvent = circleEvent;
 
@@ -1186,8 +2571,9 @@ Voronoi.prototype.connectEdge = function(edge, bbox) {
         ly = lSite.y,
         rx = rSite.x,
         ry = rSite.y,
-        fx = (lx+rx)/2,
-        fy = (ly+ry)/2,
+        f = this.bisectorOrigin(lSite, rSite),
+        fx = f.x,
+        fy = f.y,
         fm, fb;
 
     // if we reach here, this means cells which use this edge will need
@@ -1393,6 +2779,65 @@ Voronoi.prototype.clipEdge = function(edge, bbox) {
     return true;
     };
 
+// In robust mode, the topology of the diagram is exact, but its vertices are
+// still computed in floating point: nearly cocircular sites yield clusters of
+// vertices a few ulps apart, joined by edges shorter than ε, which are then
+// removed as point-like. Removing a chain of such edges would leave a gap
+// wider than ε in the cells they bound, so the ends of each of these edges
+// are first merged into one vertex, until no edge is point-like unless its
+// ends are the same vertex.
+Voronoi.prototype.mergeCloseVertices = function() {
+    var edges = this.edges,
+        nEdges = edges.length,
+        iEdge,
+        edge,
+        va, vb,
+        merged = [],
+        changed = true,
+        abs_fn = Math.abs,
+        ε = this.ε,
+        find = function(vertex) {
+            while (vertex.mergedInto) {
+                vertex = vertex.mergedInto;
+                }
+            return vertex;
+            };
+    while (changed) {
+        changed = false;
+        for (iEdge=0; iEdge<nEdges; iEdge++) {
+            edge = edges[iEdge];
+            if (!edge.va || !edge.vb) {continue;}
+            va = find(edge.va);
+            vb = find(edge.vb);
+            if (va !== vb && abs_fn(va.x-vb.x)<ε && abs_fn(va.y-vb.y)<ε) {
+                vb.mergedInto = va;
+                merged.push(vb);
+                changed = true;
+                }
+            }
+        }
+    if (!merged.length) {return;}
+    for (iEdge=0; iEdge<nEdges; iEdge++) {
+        edge = edges[iEdge];
+        if (edge.va) {edge.va = find(edge.va);}
+        if (edge.vb) {edge.vb = find(edge.vb);}
+        }
+    var vertices = this.vertices,
+        nVertices = vertices.length,
+        iVertex,
+        nKept = 0;
+    for (iVertex=0; iVertex<nVertices; iVertex++) {
+        if (!vertices[iVertex].mergedInto) {
+            vertices[nKept++] = vertices[iVertex];
+            }
+        }
+    vertices.length = nKept;
+    iVertex = merged.length;
+    while (iVertex--) {
+        merged[iVertex].mergedInto = null;
+        }
+    };
+
 // Connect/cut edges at bounding box
 Voronoi.prototype.clipEdges = function(bbox) {
     // connect all dangling edges to bounding box
@@ -1400,7 +2845,8 @@ Voronoi.prototype.clipEdges = function(bbox) {
     var edges = this.edges,
         iEdge = edges.length,
         edge,
-        abs_fn = Math.abs;
+        abs_fn = Math.abs,
+        ε = this.ε;
 
     // iterate backward so we can splice safely
     while (iEdge--) {
@@ -1410,7 +2856,7 @@ Voronoi.prototype.clipEdges = function(bbox) {
         //   it is looking more like a point than a line
         if (!this.connectEdge(edge, bbox) ||
             !this.clipEdge(edge, bbox) ||
-            (abs_fn(edge.va.x-edge.vb.x)<1e-9 && abs_fn(edge.va.y-edge.vb.y)<1e-9)) {
+            (abs_fn(edge.va.x-edge.vb.x)<ε && abs_fn(edge.va.y-edge.vb.y)<ε)) {
             edge.va = edge.vb = null;
             edges.splice(iEdge,1);
             }
@@ -1421,12 +2867,13 @@ Voronoi.prototype.clipEdges = function(bbox) {
 // The cells are bound by the supplied bounding box.
 // Each cell refers to its associated site, and a list
 // of halfedges ordered counterclockwise.
-Voronoi.prototype.closeCells = function(bbox) {
+// Optionally, only the supplied subset of cells is closed.
+Voronoi.prototype.closeCells = function(bbox, subset) {
     var xl = bbox.xl,
         xr = bbox.xr,
         yt = bbox.yt,
         yb = bbox.yb,
-        cells = this.cells,
+        cells = subset || this.cells,
         iCell = cells.length,
         cell,
         iLeft,
@@ -1434,7 +2881,8 @@ Voronoi.prototype.closeCells = function(bbox) {
         edge,
         va, vb, vz,
         lastBorderSegment,
-        abs_fn = Math.abs;
+        abs_fn = Math.abs,
+        ε = this.ε;
 
     while (iCell--) {
         cell = cells[iCell];
@@ -1461,7 +2909,7 @@ Voronoi.prototype.closeCells = function(bbox) {
             vz = halfedges[(iLeft+1) % nHalfedges].getStartpoint();
             // if end point is not equal to start point, we need to add the missing
             // halfedge(s) up to vz
-            if (abs_fn(va.x-vz.x)>=1e-9 || abs_fn(va.y-vz.y)>=1e-9) {
+            if (abs_fn(va.x-vz.x)>=ε || abs_fn(va.y-vz.y)>=ε) {
 
                 // rhill 2013-12-02:
                 // "Holes" in the halfedges are not necessarily always adjacent.
@@ -1473,7 +2921,7 @@ Voronoi.prototype.closeCells = function(bbox) {
                     // walk downward along left side
                     case this.equalWithEpsilon(va.x,xl) && this.lessThanWithEpsilon(va.y,yb):
                         lastBorderSegment = this.equalWithEpsilon(vz.x,xl);
-                        vb = this.createVertex(xl, lastBorderSegment ? vz.y : yb);
+                        vb = lastBorderSegment ? vz : this.createVertex(xl, yb);
                         edge = this.createBorderEdge(cell.site, va, vb);
                         iLeft++;
                         halfedges.splice(iLeft, 0, this.createHalfedge(edge, cell.site, null));
@@ -1485,7 +2933,7 @@ Voronoi.prototype.closeCells = function(bbox) {
                     // walk rightward along bottom side
                     case this.equalWithEpsilon(va.y,yb) && this.lessThanWithEpsilon(va.x,xr):
                         lastBorderSegment = this.equalWithEpsilon(vz.y,yb);
-                        vb = this.createVertex(lastBorderSegment ? vz.x : xr, yb);
+                        vb = lastBorderSegment ? vz : this.createVertex(xr, yb);
                         edge = this.createBorderEdge(cell.site, va, vb);
                         iLeft++;
                         halfedges.splice(iLeft, 0, this.createHalfedge(edge, cell.site, null));
@@ -1497,7 +2945,7 @@ Voronoi.prototype.closeCells = function(bbox) {
                     // walk upward along right side
                     case this.equalWithEpsilon(va.x,xr) && this.greaterThanWithEpsilon(va.y,yt):
                         lastBorderSegment = this.equalWithEpsilon(vz.x,xr);
-                        vb = this.createVertex(xr, lastBorderSegment ? vz.y : yt);
+                        vb = lastBorderSegment ? vz : this.createVertex(xr, yt);
                         edge = this.createBorderEdge(cell.site, va, vb);
                         iLeft++;
                         halfedges.splice(iLeft, 0, this.createHalfedge(edge, cell.site, null));
@@ -1509,7 +2957,7 @@ Voronoi.prototype.closeCells = function(bbox) {
                     // walk leftward along top side
                     case this.equalWithEpsilon(va.y,yt) && this.greaterThanWithEpsilon(va.x,xl):
                         lastBorderSegment = this.equalWithEpsilon(vz.y,yt);
-                        vb = this.createVertex(lastBorderSegment ? vz.x : xl, yt);
+                        vb = lastBorderSegment ? vz : this.createVertex(xl, yt);
                         edge = this.createBorderEdge(cell.site, va, vb);
                         iLeft++;
                         halfedges.splice(iLeft, 0, this.createHalfedge(edge, cell.site, null));
@@ -1520,7 +2968,7 @@ Voronoi.prototype.closeCells = function(bbox) {
 
                         // walk downward along left side
                         lastBorderSegment = this.equalWithEpsilon(vz.x,xl);
-                        vb = this.createVertex(xl, lastBorderSegment ? vz.y : yb);
+                        vb = lastBorderSegment ? vz : this.createVertex(xl, yb);
                         edge = this.createBorderEdge(cell.site, va, vb);
                         iLeft++;
                         halfedges.splice(iLeft, 0, this.createHalfedge(edge, cell.site, null));
@@ -1531,7 +2979,7 @@ Voronoi.prototype.closeCells = function(bbox) {
 
                         // walk rightward along bottom side
                         lastBorderSegment = this.equalWithEpsilon(vz.y,yb);
-                        vb = this.createVertex(lastBorderSegment ? vz.x : xr, yb);
+                        vb = lastBorderSegment ? vz : this.createVertex(xr, yb);
                         edge = this.createBorderEdge(cell.site, va, vb);
                         iLeft++;
                         halfedges.splice(iLeft, 0, this.createHalfedge(edge, cell.site, null));
@@ -1542,7 +2990,7 @@ Voronoi.prototype.closeCells = function(bbox) {
 
                         // walk upward along right side
                         lastBorderSegment = this.equalWithEpsilon(vz.x,xr);
-                        vb = this.createVertex(xr, lastBorderSegment ? vz.y : yt);
+                        vb = lastBorderSegment ? vz : this.createVertex(xr, yt);
                         edge = this.createBorderEdge(cell.site, va, vb);
                         iLeft++;
                         halfedges.splice(iLeft, 0, this.createHalfedge(edge, cell.site, null));
@@ -1551,7 +2999,14 @@ Voronoi.prototype.closeCells = function(bbox) {
                         // fall through
 
                     default:
-                        throw "Voronoi.closeCells() > this makes no sense!";
+                        throw new this.VoronoiTopologyError('Voronoi.closeCells() > Cell '+cell.site.voronoiId+' can\'t be closed: vertex ('+va.x+', '+va.y+') is not on the bounding box. The tolerance, '+this.ε+', may not suit the magnitude of the coordinates, see the relativeEpsilon option.', {
+                            cellId: cell.site.voronoiId,
+                            site: cell.site,
+                            vertex: {x: va.x, y: va.y},
+                            nextVertex: {x: vz.x, y: vz.y},
+                            bbox: bbox,
+                            epsilon: this.ε
+                            });
                     }
                 }
             iLeft++;
@@ -1561,162 +3016,3555 @@ Voronoi.prototype.closeCells = function(bbox) {
     };
 
 // ---------------------------------------------------------------------------
-// Debugging helper
-/*
-Voronoi.prototype.dumpBeachline = function(y) {
-    console.log('Voronoi.dumpBeachline(%f) > Beachsections, from left to right:', y);
-    if ( !this.beachline ) {
-        console.log('  None');
-        }
-    else {
-        var bs = this.beachline.getFirst(this.beachline.root);
-        while ( bs ) {
-            console.log('  site %d: xl: %f, xr: %f', bs.site.voronoiId, this.leftBreakPoint(bs, y), this.rightBreakPoint(bs, y));
-            bs = bs.rbNext;
+// Topology methods
+//
+// Once the cells are closed (or their halfedges ordered, for an unclipped
+// diagram), the halfedges can be linked together into a doubly-connected
+// edge list, on demand, see Voronoi.Diagram.link():
+//   halfedge.cell: the cell owning the halfedge
+//   halfedge.twin: the halfedge on the other side of the same edge, null for
+//     a border edge
+//   halfedge.next, halfedge.prev: the following and preceding halfedges
+//     around the cell, null at the open end of an unclosed cell
+//   vertex.halfedges: the halfedges starting at the vertex, ordered
+//     counterclockwise
+// Optionally, only the supplied subset of cells is linked, in which case the
+// halfedges of the other cells are assumed to be already linked.
+
+Voronoi.prototype.linkCells = function(subset) {
+    var cells = subset || this.cells,
+        iCell = cells.length,
+        cell,
+        halfedges, nHalfedges, iHalfedge,
+        halfedge, next,
+        edge, other,
+        otherHalfedges, iOther,
+        va, vb;
+
+    // halfedges around each cell, along with their twin
+    while (iCell--) {
+        cell = cells[iCell];
+        halfedges = cell.halfedges;
+        nHalfedges = halfedges.length;
+        for (iHalfedge=0; iHalfedge<nHalfedges; iHalfedge++) {
+            halfedge = halfedges[iHalfedge];
+            halfedge.cell = cell;
+            halfedge.next = halfedge.prev = halfedge.twin = null;
+            }
+        for (iHalfedge=0; iHalfedge<nHalfedges; iHalfedge++) {
+            halfedge = halfedges[iHalfedge];
+            next = halfedges[(iHalfedge+1) % nHalfedges];
+            va = halfedge.getEndpoint();
+            vb = next.getStartpoint();
+            if (va && vb && (va === vb || (this.equalWithEpsilon(va.x,vb.x) && this.equalWithEpsilon(va.y,vb.y)))) {
+                halfedge.next = next;
+                next.prev = halfedge;
+                }
+            edge = halfedge.edge;
+            if (!edge.rSite) {continue;}
+            other = edge.lSite === cell.site ? edge.rSite : edge.lSite;
+            otherHalfedges = this.cells[other.voronoiId].halfedges;
+            iOther = otherHalfedges.length;
+            while (iOther--) {
+                if (otherHalfedges[iOther].edge === edge) {
+                    halfedge.twin = otherHalfedges[iOther];
+                    halfedge.twin.twin = halfedge;
+                    break;
+                    }
+                }
             }
         }
-    };
-*/
-
-// ---------------------------------------------------------------------------
-// Helper: Quantize sites
-
-// rhill 2013-10-12:
-// This is to solve https://github.com/gorhill/Javascript-Voronoi/issues/15
-// Since not all users will end up using the kind of coord values which would
-// cause the issue to arise, I chose to let the user decide whether or not
-// he should sanitize his coord values through this helper. This way, for
-// those users who uses coord values which are known to be fine, no overhead is
-// added.
 
-Voronoi.prototype.quantizeSites = function(sites) {
-    var ε = this.ε,
-        n = sites.length,
-        site;
-    while ( n-- ) {
-        site = sites[n];
-        site.x = Math.floor(site.x / ε) * ε;
-        site.y = Math.floor(site.y / ε) * ε;
+    // halfedges around each vertex of the cells: first flag the vertices,
+    // then collect their halfedges
+    iCell = cells.length;
+    while (iCell--) {
+        halfedges = cells[iCell].halfedges;
+        iHalfedge = halfedges.length;
+        while (iHalfedge--) {
+            edge = halfedges[iHalfedge].edge;
+            if (edge.va) {edge.va.halfedges = null;}
+            if (edge.vb) {edge.vb.halfedges = null;}
+            }
+        }
+    iCell = cells.length;
+    while (iCell--) {
+        halfedges = cells[iCell].halfedges;
+        iHalfedge = halfedges.length;
+        while (iHalfedge--) {
+            halfedge = halfedges[iHalfedge];
+            va = halfedge.getStartpoint();
+            if (va && !va.halfedges) {
+                this.linkVertex(va, halfedge);
+                }
+            }
+        }
+    // a vertex can be the end point of a halfedge without being the start
+    // point of any halfedge of the subset
+    iCell = cells.length;
+    while (iCell--) {
+        halfedges = cells[iCell].halfedges;
+        iHalfedge = halfedges.length;
+        while (iHalfedge--) {
+            halfedge = halfedges[iHalfedge];
+            vb = halfedge.getEndpoint();
+            if (vb && !vb.halfedges) {
+                this.linkVertex(vb, halfedge.next || halfedge.twin);
+                }
+            }
         }
     };
 
-// ---------------------------------------------------------------------------
-// Helper: Recycle diagram: all vertex, edge and cell objects are
-// "surrendered" to the Voronoi object for reuse.
-// TODO: rhill-voronoi-core v2: more performance to be gained
-// when I change the semantic of what is returned.
-
-Voronoi.prototype.recycle = function(diagram) {
-    if ( diagram ) {
-        if ( diagram instanceof this.Diagram ) {
-            this.toRecycle = diagram;
+// Collect the halfedges starting at a vertex, by turning around it from
+// one of them, then order them counterclockwise.
+Voronoi.prototype.linkVertex = function(vertex, first) {
+    var halfedges = [],
+        halfedge = first;
+    while (halfedge && halfedges.indexOf(halfedge) < 0) {
+        halfedges.push(halfedge);
+        halfedge = halfedge.twin && halfedge.twin.next;
+        }
+    // the turn was interrupted by the border of the diagram, or by the open
+    // end of a cell: turn the other way
+    if (!halfedge && first) {
+        halfedge = first.prev && first.prev.twin;
+        while (halfedge && halfedges.indexOf(halfedge) < 0) {
+            halfedges.push(halfedge);
+            halfedge = halfedge.prev && halfedge.prev.twin;
             }
-        else {
-            throw 'Voronoi.recycleDiagram() > Need a Diagram object.';
+        }
+    // insertion sort, there are typically three of them
+    var nHalfedges = halfedges.length,
+        angles = new Array(nHalfedges),
+        iHalfedge, jHalfedge,
+        angle,
+        d;
+    for (iHalfedge=0; iHalfedge<nHalfedges; iHalfedge++) {
+        halfedge = halfedges[iHalfedge];
+        d = halfedge.getDirection();
+        angle = Math.atan2(d.y, d.x);
+        jHalfedge = iHalfedge;
+        while (jHalfedge > 0 && angles[jHalfedge-1] < angle) {
+            angles[jHalfedge] = angles[jHalfedge-1];
+            halfedges[jHalfedge] = halfedges[jHalfedge-1];
+            jHalfedge--;
             }
+        angles[jHalfedge] = angle;
+        halfedges[jHalfedge] = halfedge;
         }
+    vertex.halfedges = halfedges;
     };
 
 // ---------------------------------------------------------------------------
-// Top-level Fortune loop
-
-// rhill 2011-05-19:
-//   Voronoi sites are kept client-side now, to allow
-//   user to freely modify content. At compute time,
-//   *references* to sites are copied locally.
-
-Voronoi.prototype.compute = function(sites, bbox) {
-    // to measure execution time
-    var startTime = new Date();
-
-    // init internal state
-    this.reset();
-
-    // any diagram data available for recycling?
-    // I do that here so that this is included in execution time
-    if ( this.toRecycle ) {
-        this.vertexJunkyard = this.vertexJunkyard.concat(this.toRecycle.vertices);
-        this.edgeJunkyard = this.edgeJunkyard.concat(this.toRecycle.edges);
-        this.cellJunkyard = this.cellJunkyard.concat(this.toRecycle.cells);
-        this.toRecycle = null;
+// Clipping polygon methods
+//
+// Instead of a bounding box, the diagram can be clipped to an arbitrary
+// convex polygon, supplied as an array of objects with an 'x' and a 'y'
+// property, or to a circle or an ellipse, which are approximated by a
+// polygon.
+
+// Connect/cut edges and close the cells, using either a bounding box or a
+// polygon. Optionally, only the supplied subset of cells is closed.
+Voronoi.prototype.closeDiagram = function(bbox, subset) {
+    var polygon = this.preparePolygon(bbox);
+    if (this.robust && !subset) {
+        this.mergeCloseVertices();
         }
+    if (polygon) {
+        this.clipEdgesToPolygon(polygon);
+        this.closeCellsToPolygon(polygon, subset);
+        }
+    else {
+        this.clipEdges(bbox);
+        this.closeCells(bbox, subset);
+        }
+    };
 
-    // Initialize site event queue
-    var siteEvents = sites.slice(0);
-    siteEvents.sort(function(a,b){
-        var r = b.y - a.y;
-        if (r) {return r;}
-        return b.x - a.x;
-        });
-
-    // process queue
-    var site = siteEvents.pop(),
-        siteid = 0,
-        xsitex, // to avoid duplicate sites
-        xsitey,
-        cells = this.cells,
-        circle;
-
-    // main loop
-    for (;;) {
-        // we need to figure whether we handle a site or circle event
-        // for this we find out if there is a site event and it is
-        // 'earlier' than the circle event
-        circle = this.firstCircleEvent;
+// Return the polygon approximating an ellipse, which exhibits cx, cy
+// (the center) and either r (the radius of a circle) or rx, ry (the radii
+// of an ellipse). The number of sides of the polygon can be set through an
+// optional 'segments' property, default is 64.
+Voronoi.prototype.ellipseToPolygon = function(ellipse) {
+    var cx = ellipse.cx,
+        cy = ellipse.cy,
+        rx = ellipse.rx !== undefined ? ellipse.rx : ellipse.r,
+        ry = ellipse.ry !== undefined ? ellipse.ry : ellipse.r,
+        nSegments = ellipse.segments || 64,
+        polygon = [],
+        iSegment,
+        angle;
+    if (nSegments < 3) {
+        throw new this.VoronoiInputError('Voronoi.ellipseToPolygon() > An ellipse needs at least three segments.', {bbox: ellipse});
+        }
+    for (iSegment=0; iSegment<nSegments; iSegment++) {
+        angle = iSegment*2*Math.PI/nSegments;
+        polygon.push({x: cx+rx*Math.cos(angle), y: cy+ry*Math.sin(angle)});
+        }
+    return polygon;
+    };
 
-        // add beach section
-        if (site && (!circle || site.y < circle.y || (site.y === circle.y && site.x < circle.x))) {
-            // only if site is not a duplicate
-            if (site.x !== xsitex || site.y !== xsitey) {
-                // first create cell for new site
-                cells[siteid] = this.createCell(site);
-                site.voronoiId = siteid++;
-                // then create a beachsection for that site
-                this.addBeachsection(site);
-                // remember last site coords to detect duplicate
-                xsitey = site.y;
-                xsitex = site.x;
-                }
-            site = siteEvents.pop();
+// Return a working copy of the clipping polygon, ordered counterclockwise
+// (same convention as the halfedges of a cell), or null if the supplied
+// bounding box is not a polygon.
+Voronoi.prototype.preparePolygon = function(bbox) {
+    if (bbox.r !== undefined || bbox.rx !== undefined) {
+        bbox = this.ellipseToPolygon(bbox);
+        }
+    else if (!Array.isArray(bbox)) {
+        return null;
+        }
+    var polygon = [],
+        nPoints = bbox.length,
+        iPoint,
+        point,
+        area = 0,
+        a, b, c;
+    // get rid of repeated points, they would make for zero-length sides
+    for (iPoint=0; iPoint<nPoints; iPoint++) {
+        point = bbox[iPoint];
+        a = bbox[(iPoint+1) % nPoints];
+        if (!this.equalWithEpsilon(point.x,a.x) || !this.equalWithEpsilon(point.y,a.y)) {
+            polygon.push({x: point.x, y: point.y});
             }
-
-        // remove beach section
-        else if (circle) {
-            this.removeBeachsection(circle.arc);
+        }
+    nPoints = polygon.length;
+    if (nPoints < 3) {
+        throw new this.VoronoiInputError('Voronoi.preparePolygon() > A polygon needs at least three points.', {bbox: bbox});
+        }
+    for (iPoint=0; iPoint<nPoints; iPoint++) {
+        a = polygon[iPoint];
+        b = polygon[(iPoint+1) % nPoints];
+        area += a.x*b.y-b.x*a.y;
+        }
+    // counterclockwise polygons have a negative signed area, given that the
+    // y axis points downward
+    if (area > 0) {
+        polygon.reverse();
+        }
+    // all the turns must be in the same direction
+    for (iPoint=0; iPoint<nPoints; iPoint++) {
+        a = polygon[iPoint];
+        b = polygon[(iPoint+1) % nPoints];
+        c = polygon[(iPoint+2) % nPoints];
+        if ((b.x-a.x)*(c.y-b.y)-(b.y-a.y)*(c.x-b.x) > this.ε) {
+            throw new this.VoronoiInputError('Voronoi.preparePolygon() > Only convex polygons are supported.', {bbox: bbox, vertex: {x: b.x, y: b.y}});
             }
+        }
+    return polygon;
+    };
 
-        // all done, quit
+// Clip an edge, whether finite or not, to a convex polygon.
+// Cyrus-Beck algorithm, which is the generalization of Liang-Barsky to
+// convex polygons: the edge is parameterized as p+t*d, and each side of the
+// polygon narrows the range of t for which the edge is inside the polygon.
+// return value:
+//   false: the edge is wholly outside the polygon
+//   true: the edge was clipped, or is inside the polygon
+Voronoi.prototype.clipEdgeToPolygon = function(edge, polygon) {
+    var lSite = edge.lSite,
+        rSite = edge.rSite,
+        va = edge.va,
+        vb = edge.vb,
+        px, py, dx, dy,
+        t0, t1;
+    if (vb) {
+        px = va.x;
+        py = va.y;
+        dx = vb.x-px;
+        dy = vb.y-py;
+        t0 = 0;
+        t1 = 1;
+        }
+    else {
+        // direction of a dangling edge, relative to the site on the left
+        dx = rSite.y-lSite.y;
+        dy = lSite.x-rSite.x;
+        t1 = Infinity;
+        if (va) {
+            px = va.x;
+            py = va.y;
+            t0 = 0;
+            }
         else {
-            break;
+            va = this.bisectorOrigin(lSite, rSite);
+            px = va.x;
+            py = va.y;
+            va = null;
+            t0 = -Infinity;
+            }
+        }
+    var nPoints = polygon.length,
+        iPoint,
+        a, b, ex, ey,
+        num, den, t;
+    for (iPoint=0; iPoint<nPoints; iPoint++) {
+        a = polygon[iPoint];
+        b = polygon[(iPoint+1) % nPoints];
+        ex = b.x-a.x;
+        ey = b.y-a.y;
+        // inside is where cross product of side and point is negative
+        num = ex*(py-a.y)-ey*(px-a.x);
+        den = ex*dy-ey*dx;
+        if (den === 0) {
+            if (num > 0) {return false;}
+            continue;
+            }
+        t = -num/den;
+        if (den > 0) {
+            if (t < t0) {return false;}
+            if (t < t1) {t1 = t;}
+            }
+        else {
+            if (t > t1) {return false;}
+            if (t > t0) {t0 = t;}
             }
         }
 
-    // wrapping-up:
-    //   connect dangling edges to bounding box
-    //   cut edges as per bounding box
-    //   discard edges completely outside bounding box
-    //   discard edges which are point-like
-    this.clipEdges(bbox);
+    // rhill 2011-06-03: we need to create a new vertex rather
+    // than modifying the existing one, since the existing
+    // one is likely shared with at least another edge
+    var clipped = false;
+    if (!va || t0 > 0) {
+        edge.va = this.createVertex(px+t0*dx, py+t0*dy);
+        clipped = true;
+        }
+    if (!vb || t1 < 1) {
+        edge.vb = this.createVertex(px+t1*dx, py+t1*dy);
+        clipped = true;
+        }
 
-    //   add missing edges in order to close opened cells
-    this.closeCells(bbox);
+    // va and/or vb were clipped, thus we will need to close
+    // cells which use this edge.
+    if (clipped) {
+        this.cells[lSite.voronoiId].closeMe = true;
+        this.cells[rSite.voronoiId].closeMe = true;
+        }
 
-    // to measure execution time
-    var stopTime = new Date();
+    return true;
+    };
 
-    // prepare return values
-    var diagram = new this.Diagram();
-    diagram.cells = this.cells;
-    diagram.edges = this.edges;
-    diagram.vertices = this.vertices;
-    diagram.execTime = stopTime.getTime()-startTime.getTime();
+// Cut edges at polygon
+Voronoi.prototype.clipEdgesToPolygon = function(polygon) {
+    var edges = this.edges,
+        iEdge = edges.length,
+        edge,
+        abs_fn = Math.abs,
+        ε = this.ε;
 
-    // clean up
-    this.reset();
+    // iterate backward so we can splice safely
+    while (iEdge--) {
+        edge = edges[iEdge];
+        // edge is removed if:
+        //   it is wholly outside the polygon
+        //   it is looking more like a point than a line
+        if (!this.clipEdgeToPolygon(edge, polygon) ||
+            (abs_fn(edge.va.x-edge.vb.x)<ε && abs_fn(edge.va.y-edge.vb.y)<ε)) {
+            edge.va = edge.vb = null;
+            edges.splice(iEdge,1);
+            }
+        }
+    };
+
+// Return the index of the side of the polygon closest to a point.
+Voronoi.prototype.getPolygonSide = function(polygon, point) {
+    var nPoints = polygon.length,
+        iPoint,
+        a, b, ex, ey, l2, t, x, y, d2,
+        side = 0,
+        dmin = Infinity;
+    for (iPoint=0; iPoint<nPoints; iPoint++) {
+        a = polygon[iPoint];
+        b = polygon[(iPoint+1) % nPoints];
+        ex = b.x-a.x;
+        ey = b.y-a.y;
+        l2 = ex*ex+ey*ey;
+        t = ((point.x-a.x)*ex+(point.y-a.y)*ey)/l2;
+        t = t < 0 ? 0 : (t > 1 ? 1 : t);
+        x = a.x+t*ex-point.x;
+        y = a.y+t*ey-point.y;
+        d2 = x*x+y*y;
+        if (d2 < dmin) {
+            dmin = d2;
+            side = iPoint;
+            }
+        }
+    return side;
+    };
+
+// Close the cells, walking counterclockwise along the sides of the
+// polygon. See Voronoi.closeCells().
+Voronoi.prototype.closeCellsToPolygon = function(polygon, subset) {
+    var nPoints = polygon.length,
+        cells = subset || this.cells,
+        iCell = cells.length,
+        cell,
+        iLeft,
+        halfedges, nHalfedges,
+        edge,
+        va, vb, vz,
+        iSide, zSide, nSides,
+        a, corner, ex, ey,
+        lastBorderSegment;
+
+    while (iCell--) {
+        cell = cells[iCell];
+        // prune, order halfedges counterclockwise, then add missing ones
+        // required to close cells
+        if (!cell.prepareHalfedges()) {
+            continue;
+            }
+        if (!cell.closeMe) {
+            continue;
+            }
+        halfedges = cell.halfedges;
+        nHalfedges = halfedges.length;
+        iLeft = 0;
+        while (iLeft < nHalfedges) {
+            va = halfedges[iLeft].getEndpoint();
+            vz = halfedges[(iLeft+1) % nHalfedges].getStartpoint();
+            // if end point is not equal to start point, we need to add the missing
+            // halfedge(s) up to vz
+            if (!this.equalWithEpsilon(va.x,vz.x) || !this.equalWithEpsilon(va.y,vz.y)) {
+                iSide = this.getPolygonSide(polygon, va);
+                zSide = this.getPolygonSide(polygon, vz);
+                nSides = 0;
+                for (;;) {
+                    a = polygon[iSide];
+                    corner = polygon[(iSide+1) % nPoints];
+                    ex = corner.x-a.x;
+                    ey = corner.y-a.y;
+                    // vz is further along the current side
+                    lastBorderSegment = iSide === zSide && this.greaterThanOrEqualWithEpsilon((vz.x-va.x)*ex+(vz.y-va.y)*ey, 0);
+                    if (!lastBorderSegment && this.equalWithEpsilon(corner.x,vz.x) && this.equalWithEpsilon(corner.y,vz.y)) {
+                        lastBorderSegment = true;
+                        }
+                    if (lastBorderSegment) {
+                        vb = vz;
+                        }
+                    else if (this.equalWithEpsilon(corner.x,va.x) && this.equalWithEpsilon(corner.y,va.y)) {
+                        vb = null;
+                        }
+                    else {
+                        vb = this.createVertex(corner.x, corner.y);
+                        }
+                    if (vb) {
+                        edge = this.createBorderEdge(cell.site, va, vb);
+                        iLeft++;
+                        halfedges.splice(iLeft, 0, this.createHalfedge(edge, cell.site, null));
+                        nHalfedges++;
+                        va = vb;
+                        }
+                    if (lastBorderSegment) {break;}
+                    iSide = (iSide+1) % nPoints;
+                    if (++nSides > nPoints) {
+                        throw new this.VoronoiTopologyError('Voronoi.closeCellsToPolygon() > Cell '+cell.site.voronoiId+' can\'t be closed: vertex ('+vz.x+', '+vz.y+') is not on the polygon. The tolerance, '+this.ε+', may not suit the magnitude of the coordinates, see the relativeEpsilon option.', {
+                            cellId: cell.site.voronoiId,
+                            site: cell.site,
+                            vertex: {x: vz.x, y: vz.y},
+                            bbox: polygon,
+                            epsilon: this.ε
+                            });
+                        }
+                    }
+                }
+            iLeft++;
+            }
+        cell.closeMe = false;
+        }
+    };
+
+// ---------------------------------------------------------------------------
+// Power diagram methods
+//
+// When sites carry a 'weight' property, and not all weights are equal, the
+// computed diagram is the power diagram of the sites (aka Laguerre
+// diagram): a point belongs to the cell of the site for which the power
+// distance -- squared euclidean distance minus weight -- is the smallest.
+// Edges are still straight lines, but a cell doesn't necessarily contain its
+// site, and a site can end up with no cell at all, in which case the cell
+// will have an empty array of halfedges.
+// Fortune's algorithm can't deal with this, so the power diagram is derived
+// from its dual, the regular triangulation of the sites, which is computed
+// incrementally (Bowyer-Watson, using power distance rather than euclidean
+// distance.)
+
+Voronoi.prototype.hasUnequalWeights = function(sites) {
+    var iSite = sites.length,
+        weight;
+    if (!iSite) {return false;}
+    weight = sites[0].weight || 0;
+    while (iSite--) {
+        if ((sites[iSite].weight || 0) !== weight) {
+            return true;
+            }
+        }
+    return false;
+    };
+
+// Return the point where the bisector of two sites crosses the line joining
+// them. Midway for equal weights, shifted toward the lighter site otherwise.
+Voronoi.prototype.bisectorOrigin = function(lSite, rSite) {
+    var dx = rSite.x-lSite.x,
+        dy = rSite.y-lSite.y,
+        t = 0.5+((lSite.weight || 0)-(rSite.weight || 0))/(2*(dx*dx+dy*dy));
+    return {x: lSite.x+t*dx, y: lSite.y+t*dy};
+    };
+
+// Regular triangulation, the weighted version of the Delaunay triangulation.
+// Triangles are ordered counterclockwise in the usual mathematical sense,
+// the convex hull is closed using 'ghost' triangles, for which one vertex
+// is the point at infinity, represented by null.
+
+Voronoi.prototype.RegularTriangulation = function() {
+    this.triangles = [];
+    // one live triangle incident to each site, indexed by voronoiId
+    this.incident = [];
+    this.last = null;
+    this.stamp = 0;
+    // if an array, the triangles created and those which die are appended
+    // to it, see Voronoi.MutableDiagram.update()
+    this.journal = null;
+    };
+
+Voronoi.prototype.RegularTriangulation.prototype.Triangle = function(a, b, c) {
+    // vertices, and neighbors: n[i] is the triangle opposite to v[i]
+    this.v = [a, b, c];
+    this.n = [null, null, null];
+    this.mark = 0;
+    this.dead = false;
+    };
+
+Voronoi.prototype.RegularTriangulation.prototype.orient = function(a, b, c) {
+    return (b.x-a.x)*(c.y-a.y)-(b.y-a.y)*(c.x-a.x);
+    };
+
+Voronoi.prototype.RegularTriangulation.prototype.createTriangle = function(a, b, c) {
+    var triangle = new this.Triangle(a, b, c);
+    this.triangles.push(triangle);
+    this.register(triangle);
+    if (this.journal) {
+        this.journal.push(triangle);
+        }
+    return triangle;
+    };
+
+Voronoi.prototype.RegularTriangulation.prototype.register = function(triangle) {
+    var v = triangle.v,
+        i;
+    for (i=0; i<3; i++) {
+        if (v[i]) {
+            this.incident[v[i].voronoiId] = triangle;
+            }
+        }
+    };
+
+// Link together triangles which share an edge.
+Voronoi.prototype.RegularTriangulation.prototype.link = function(triangles) {
+    var nTriangles = triangles.length,
+        iTriangle, jTriangle,
+        t, u, i, j;
+    for (iTriangle=0; iTriangle<nTriangles; iTriangle++) {
+        t = triangles[iTriangle];
+        for (jTriangle=iTriangle+1; jTriangle<nTriangles; jTriangle++) {
+            u = triangles[jTriangle];
+            for (i=0; i<3; i++) {
+                for (j=0; j<3; j++) {
+                    if (t.v[(i+1)%3] === u.v[(j+2)%3] && t.v[(i+2)%3] === u.v[(j+1)%3]) {
+                        t.n[i] = u;
+                        u.n[j] = t;
+                        }
+                    }
+                }
+            }
+        }
+    };
+
+// Start the triangulation from three sites which are not collinear.
+Voronoi.prototype.RegularTriangulation.prototype.init = function(a, b, c) {
+    if (this.orient(a, b, c) < 0) {
+        var swap = b;
+        b = c;
+        c = swap;
+        }
+    this.last = this.createTriangle(a, b, c);
+    this.link([
+        this.last,
+        this.createTriangle(b, a, null),
+        this.createTriangle(c, b, null),
+        this.createTriangle(a, c, null)
+        ]);
+    };
+
+// Whether a site conflicts with a triangle, i.e. whether the triangle would
+// no longer be part of the triangulation once the site is inserted.
+Voronoi.prototype.RegularTriangulation.prototype.conflicts = function(triangle, site) {
+    var v = triangle.v,
+        i, o;
+    // ghost triangle: conflict if the site is on the outer side of the hull
+    // edge, or, if collinear with it, if it conflicts with the triangle
+    // on the inner side
+    for (i=0; i<3; i++) {
+        if (!v[i]) {
+            o = this.orient(v[(i+1)%3], v[(i+2)%3], site);
+            if (o) {
+                return o > 0;
+                }
+            return this.conflicts(triangle.n[i], site);
+            }
+        }
+    // the usual in-circle test, with the lifted coordinates shifted by the
+    // weights: the site conflicts if it is inside the orthogonal circle
+    var x = site.x,
+        y = site.y,
+        w = site.weight || 0,
+        a = v[0],
+        b = v[1],
+        c = v[2],
+        adx = a.x-x,
+        ady = a.y-y,
+        bdx = b.x-x,
+        bdy = b.y-y,
+        cdx = c.x-x,
+        cdy = c.y-y,
+        al = adx*adx+ady*ady-(a.weight || 0)+w,
+        bl = bdx*bdx+bdy*bdy-(b.weight || 0)+w,
+        cl = cdx*cdx+cdy*cdy-(c.weight || 0)+w;
+    return adx*(bdy*cl-bl*cdy)-ady*(bdx*cl-bl*cdx)+al*(bdx*cdy-bdy*cdx) > 0;
+    };
+
+// Walk from the last created triangle toward the site, return the triangle
+// containing the site, or a ghost triangle if the site is outside the hull.
+Voronoi.prototype.RegularTriangulation.prototype.locate = function(site) {
+    var triangle = this.last,
+        offset = 0,
+        i, k, moved;
+    for (;;) {
+        for (i=0; i<3; i++) {
+            if (!triangle.v[i]) {
+                return triangle;
+                }
+            }
+        moved = false;
+        for (i=0; i<3; i++) {
+            k = (i+offset)%3;
+            if (this.orient(triangle.v[(k+1)%3], triangle.v[(k+2)%3], site) < 0) {
+                triangle = triangle.n[k];
+                moved = true;
+                break;
+                }
+            }
+        if (!moved) {
+            return triangle;
+            }
+        // rotate the first edge tested, so that the walk can't cycle
+        offset = (offset+1)%3;
+        }
+    };
+
+// Insert a site, return the array of sites whose star changed as a result,
+// or null if the site is redundant, i.e. it has no cell.
+Voronoi.prototype.RegularTriangulation.prototype.insert = function(site) {
+    var triangle = this.locate(site);
+    if (!this.conflicts(triangle, site)) {
+        return null;
+        }
+    // collect the triangles in conflict: they form a star-shaped cavity
+    // around the site
+    var stamp = ++this.stamp,
+        stack = [triangle],
+        boundary = [],
+        neighbor,
+        affected = [],
+        i, v;
+    triangle.mark = stamp;
+    while (stack.length) {
+        triangle = stack.pop();
+        triangle.dead = true;
+        if (this.journal) {
+            this.journal.push(triangle);
+            }
+        for (i=0; i<3; i++) {
+            v = triangle.v[i];
+            if (v && affected.indexOf(v) < 0) {
+                affected.push(v);
+                }
+            neighbor = triangle.n[i];
+            if (neighbor.mark === stamp) {
+                continue;
+                }
+            if (this.conflicts(neighbor, site)) {
+                neighbor.mark = stamp;
+                stack.push(neighbor);
+                }
+            else {
+                boundary.push(triangle, i);
+                }
+            }
+        }
+    // fill the cavity with new triangles connecting its boundary to the site
+    var nBoundary = boundary.length,
+        iBoundary,
+        created = [],
+        j;
+    for (iBoundary=0; iBoundary<nBoundary; iBoundary+=2) {
+        triangle = boundary[iBoundary];
+        i = boundary[iBoundary+1];
+        neighbor = triangle.n[i];
+        this.last = this.createTriangle(triangle.v[(i+1)%3], triangle.v[(i+2)%3], site);
+        this.last.n[2] = neighbor;
+        for (j=0; j<3; j++) {
+            if (neighbor.n[j] === triangle) {
+                neighbor.n[j] = this.last;
+                }
+            }
+        created.push(this.last);
+        }
+    this.link(created);
+    // walks must start from a finite triangle
+    for (i=0; i<3; i++) {
+        if (!this.last.v[i]) {
+            this.last = this.last.n[i];
+            break;
+            }
+        }
+    return affected;
+    };
+
+// Remove a site, return the array of sites whose star changed as a result,
+// or null if the remaining sites would all be collinear, in which case the
+// triangulation is left untouched.
+Voronoi.prototype.RegularTriangulation.prototype.remove = function(site) {
+    // collect the star of the site, counterclockwise, along with the
+    // triangles surrounding it
+    var first = this.incident[site.voronoiId],
+        triangle = first,
+        star = [],
+        ring = [],
+        outer = [],
+        i, v;
+    do {
+        i = triangle.v[0] === site ? 0 : (triangle.v[1] === site ? 1 : 2);
+        star.push(triangle);
+        v = triangle.v[(i+1)%3];
+        if (v) {
+            ring.push(v);
+            }
+        if (outer.indexOf(triangle.n[i]) < 0) {
+            outer.push(triangle.n[i]);
+            }
+        triangle = triangle.n[(i+1)%3];
+        } while (triangle !== first);
+
+    // triangulate the sites of the ring, and keep the triangles which fill
+    // the hole left by the star
+    var local = new this.constructor(),
+        nRing = ring.length,
+        kept = [],
+        iThird, iRing,
+        triangles, nTriangles, iTriangle,
+        a, b, c, x, y, j,
+        inside;
+    for (iThird=2; iThird<nRing; iThird++) {
+        if (this.orient(ring[0], ring[1], ring[iThird])) {break;}
+        }
+    if (iThird < nRing) {
+        local.init(ring[0], ring[1], ring[iThird]);
+        for (iRing=2; iRing<nRing; iRing++) {
+            if (iRing !== iThird) {
+                local.insert(ring[iRing]);
+                }
+            }
+        triangles = local.getTriangles();
+        nTriangles = triangles.length;
+        for (iTriangle=0; iTriangle<nTriangles; iTriangle++) {
+            v = triangles[iTriangle].v;
+            x = (v[0].x+v[1].x+v[2].x)/3;
+            y = (v[0].y+v[1].y+v[2].y)/3;
+            inside = false;
+            for (j=0; j<star.length && !inside; j++) {
+                a = star[j].v[0];
+                b = star[j].v[1];
+                c = star[j].v[2];
+                inside = a && b && c &&
+                    this.orient(a, b, {x: x, y: y}) >= 0 &&
+                    this.orient(b, c, {x: x, y: y}) >= 0 &&
+                    this.orient(c, a, {x: x, y: y}) >= 0;
+                }
+            if (inside) {
+                kept.push(v);
+                }
+            }
+        }
+    // nothing left but a line
+    if (!kept.length) {
+        for (j=0; j<outer.length; j++) {
+            v = outer[j].v;
+            if (v[0] && v[1] && v[2]) {break;}
+            }
+        if (j === outer.length) {
+            return null;
+            }
+        }
+
+    for (j=0; j<star.length; j++) {
+        star[j].dead = true;
+        if (this.journal) {
+            this.journal.push(star[j]);
+            }
+        }
+    var created = [],
+        hasEdge = function(triangles, a, b) {
+            var iTriangle = triangles.length,
+                v, i;
+            while (iTriangle--) {
+                v = triangles[iTriangle].v;
+                for (i=0; i<3; i++) {
+                    if (v[(i+1)%3] === a && v[(i+2)%3] === b) {
+                        return true;
+                        }
+                    }
+                }
+            return false;
+            };
+    for (j=0; j<kept.length; j++) {
+        created.push(this.createTriangle(kept[j][0], kept[j][1], kept[j][2]));
+        }
+    // edges of the hole which are not shared by two triangles are on the
+    // hull, ghost triangles are needed on their outer side
+    var ghosts = [],
+        candidates = created.concat(outer),
+        nCreated = created.length;
+    for (iTriangle=0; iTriangle<nCreated; iTriangle++) {
+        v = created[iTriangle].v;
+        for (i=0; i<3; i++) {
+            if (!hasEdge(candidates, v[(i+2)%3], v[(i+1)%3])) {
+                ghosts.push(this.createTriangle(v[(i+2)%3], v[(i+1)%3], null));
+                }
+            }
+        }
+    for (j=0; j<outer.length; j++) {
+        triangle = outer[j];
+        v = triangle.v;
+        for (i=0; i<3; i++) {
+            if (triangle.n[i].dead && v[(i+1)%3] && v[(i+2)%3] && !hasEdge(created, v[(i+2)%3], v[(i+1)%3])) {
+                ghosts.push(this.createTriangle(v[(i+2)%3], v[(i+1)%3], null));
+                }
+            }
+        }
+    this.link(created.concat(ghosts, outer));
+    for (j=0; j<outer.length; j++) {
+        this.register(outer[j]);
+        }
+    for (j=0; j<candidates.length; j++) {
+        v = candidates[j].v;
+        if (v[0] && v[1] && v[2]) {
+            this.last = candidates[j];
+            break;
+            }
+        }
+    return ring;
+    };
+
+// Return the live triangles, ghost triangles excluded, and get rid of
+// the dead ones.
+Voronoi.prototype.RegularTriangulation.prototype.getTriangles = function() {
+    var live = [],
+        finite = [],
+        triangles = this.triangles,
+        nTriangles = triangles.length,
+        iTriangle,
+        triangle;
+    for (iTriangle=0; iTriangle<nTriangles; iTriangle++) {
+        triangle = triangles[iTriangle];
+        if (triangle.dead) {continue;}
+        live.push(triangle);
+        if (triangle.v[0] && triangle.v[1] && triangle.v[2]) {
+            finite.push(triangle);
+            }
+        }
+    this.triangles = live;
+    return finite;
+    };
+
+// Return the center of the circle orthogonal to the three weighted sites of
+// a triangle, which is a vertex of the power diagram.
+Voronoi.prototype.orthocenter = function(a, b, c) {
+    var ax = a.x,
+        ay = a.y,
+        aw = a.weight || 0,
+        bx = b.x-ax,
+        by = b.y-ay,
+        cx = c.x-ax,
+        cy = c.y-ay,
+        d = 2*(bx*cy-by*cx),
+        hb = bx*bx+by*by-(b.weight || 0)+aw,
+        hc = cx*cx+cy*cy-(c.weight || 0)+aw;
+    return this.createVertex((cy*hb-by*hc)/d+ax, (bx*hc-cx*hb)/d+ay);
+    };
+
+Voronoi.prototype.computePowerDiagram = function(sites) {
+    // same ordering of sites as for Fortune's algorithm, so that the
+    // cells end up in the same order
+    var siteEvents = sites.slice(0);
+    siteEvents.sort(function(a,b){
+        var r = a.y - b.y;
+        if (r) {return r;}
+        return a.x - b.x;
+        });
+
+    var nSites = siteEvents.length,
+        iSite,
+        site,
+        uniques = [],
+        cells = this.cells,
+        xsitex, // to avoid duplicate sites
+        xsitey;
+    if (this.options.duplicateTolerance > 0) {
+        siteEvents = this.collapseNearDuplicates(siteEvents);
+        nSites = siteEvents.length;
+        }
+    for (iSite=0; iSite<nSites; iSite++) {
+        site = siteEvents[iSite];
+        if (site.x !== xsitex || site.y !== xsitey) {
+            cells[uniques.length] = this.createCell(site);
+            site.voronoiId = uniques.length;
+            uniques.push(site);
+            xsitey = site.y;
+            xsitex = site.x;
+            }
+        else {
+            this.addDuplicate(site, uniques[uniques.length-1]);
+            }
+        }
+    nSites = uniques.length;
+    if (nSites < 2) {return;}
+
+    // find three sites which are not collinear to start the triangulation
+    var triangulation = new this.RegularTriangulation(),
+        a = uniques[0],
+        b = uniques[1],
+        iThird;
+    for (iThird=2; iThird<nSites; iThird++) {
+        if (triangulation.orient(a, b, uniques[iThird])) {break;}
+        }
+    if (iThird === nSites) {
+        this.computeCollinearPowerDiagram(uniques);
+        return;
+        }
+    triangulation.init(a, b, uniques[iThird]);
+    for (iSite=2; iSite<nSites; iSite++) {
+        if (iSite !== iThird) {
+            triangulation.insert(uniques[iSite]);
+            }
+        }
+
+    // each triangle gives a vertex
+    var triangles = triangulation.getTriangles(),
+        nTriangles = triangles.length,
+        iTriangle,
+        triangle,
+        v;
+    for (iTriangle=0; iTriangle<nTriangles; iTriangle++) {
+        triangle = triangles[iTriangle];
+        v = triangle.v;
+        triangle.vertex = this.orthocenter(v[0], v[1], v[2]);
+        triangle.mark = -1;
+        this.createTriangle(v[0], v[1], v[2]);
+        }
+    this.mergeCoincidentVertices(triangles);
+
+    // each edge of the triangulation gives an edge, going from the vertex of
+    // the triangle on its left to the vertex of the triangle on its right,
+    // or a ray if the edge is on the hull
+    var neighbor,
+        edge,
+        i;
+    for (iTriangle=0; iTriangle<nTriangles; iTriangle++) {
+        triangle = triangles[iTriangle];
+        for (i=0; i<3; i++) {
+            neighbor = triangle.n[i];
+            // edge already created from the neighbor, or without length
+            if (neighbor.mark === -2 || neighbor.vertex === triangle.vertex) {continue;}
+            edge = this.createEdge(triangle.v[(i+1)%3], triangle.v[(i+2)%3]);
+            edge.va = triangle.vertex;
+            edge.vb = neighbor.mark === -1 ? neighbor.vertex : null;
+            }
+        triangle.mark = -2;
+        }
+    };
+
+// The sites of neighboring triangles can lie on a same circle orthogonal to
+// them, as do the sites of a grid with equal weights: the triangles then
+// have the same vertex, and the edge between them would have no length. The
+// triangles whose vertices coincide are gathered, and each group keeps a
+// single vertex, shared by all its triangles.
+Voronoi.prototype.mergeCoincidentVertices = function(triangles) {
+    var nTriangles = triangles.length,
+        iTriangle,
+        triangle,
+        neighbor,
+        root, other,
+        i,
+        merged = false;
+    var find = function(triangle) {
+        while (triangle.mergedInto) {
+            triangle = triangle.mergedInto;
+            }
+        return triangle;
+        };
+    for (iTriangle=0; iTriangle<nTriangles; iTriangle++) {
+        triangle = triangles[iTriangle];
+        for (i=0; i<3; i++) {
+            neighbor = triangle.n[i];
+            if (neighbor.mark !== -1 ||
+                this.abs(triangle.vertex.x-neighbor.vertex.x) >= this.ε ||
+                this.abs(triangle.vertex.y-neighbor.vertex.y) >= this.ε) {
+                continue;
+                }
+            root = find(triangle);
+            other = find(neighbor);
+            if (root !== other) {
+                other.mergedInto = root;
+                merged = true;
+                }
+            }
+        }
+    if (!merged) {return;}
+    for (iTriangle=0; iTriangle<nTriangles; iTriangle++) {
+        triangle = triangles[iTriangle];
+        triangle.mergedVertex = find(triangle).vertex;
+        }
+    var vertices = this.vertices,
+        nVertices = 0;
+    for (iTriangle=0; iTriangle<nTriangles; iTriangle++) {
+        triangle = triangles[iTriangle];
+        if (!triangle.mergedInto) {
+            vertices[nVertices++] = triangle.vertex;
+            }
+        }
+    vertices.length = nVertices;
+    for (iTriangle=0; iTriangle<nTriangles; iTriangle++) {
+        triangle = triangles[iTriangle];
+        triangle.vertex = triangle.mergedVertex;
+        triangle.mergedInto = triangle.mergedVertex = undefined;
+        }
+    };
+
+// All sites on a line: edges are parallel lines, and the sites which get a
+// cell are found by computing the lower envelope of their power distance
+// along the line.
+Voronoi.prototype.computeCollinearPowerDiagram = function(sites) {
+    var nSites = sites.length,
+        iSite,
+        site,
+        origin = sites[0],
+        dx = sites[nSites-1].x-origin.x,
+        dy = sites[nSites-1].y-origin.y,
+        envelope = [],
+        nEnvelope = 0,
+        // position along the line where the power distance to site b
+        // becomes smaller than the power distance to site a
+        crossing = function(a, b) {
+            var sa = (a.x-origin.x)*dx+(a.y-origin.y)*dy,
+                sb = (b.x-origin.x)*dx+(b.y-origin.y)*dy,
+                l2 = dx*dx+dy*dy;
+            return ((sb*sb-sa*sa)/l2-(b.weight || 0)+(a.weight || 0))/(2*(sb-sa));
+            };
+    for (iSite=0; iSite<nSites; iSite++) {
+        site = sites[iSite];
+        while (nEnvelope > 1 && crossing(envelope[nEnvelope-2], site) <= crossing(envelope[nEnvelope-2], envelope[nEnvelope-1])) {
+            envelope.pop();
+            nEnvelope--;
+            }
+        envelope.push(site);
+        nEnvelope++;
+        }
+    for (iSite=1; iSite<nEnvelope; iSite++) {
+        this.createEdge(envelope[iSite-1], envelope[iSite]);
+        }
+    };
+
+// ---------------------------------------------------------------------------
+// Mutable diagram methods
+//
+// A mutable diagram is a diagram which can be updated as sites are added,
+// removed or moved, without computing the whole diagram again: only the
+// cells of the sites whose neighborhood changed are computed again. To do
+// so, the mutable diagram keeps track of the (regular) Delaunay
+// triangulation of its sites.
+// Each update method returns the array of cells which changed as a result.
+// Adding a site which is already in the diagram, or removing or moving one
+// which isn't, throws a Voronoi.VoronoiInputError.
+// The edges, vertices and triangles of the diagram are updated in place as
+// well, so that an update only costs as much as the cells it changes, but
+// their order in the lists of the diagram isn't kept.
+// The cell of a removed site is left with an empty array of halfedges, and
+// its slot in diagram.cells, along with its voronoiId, can be reused by a
+// site added later. As in a computed diagram, a site at the position of a
+// site with a cell collapses into it, and is reported in diagram.duplicates,
+// see Voronoi.addDuplicate(). Removing the site it collapsed into gives it
+// a cell of its own.
+
+Voronoi.prototype.computeMutable = function(sites, bbox) {
+    this.validateSites(sites, 'Voronoi.computeMutable()');
+    if (this.copiesSites()) {
+        throw new this.VoronoiInputError('Voronoi.computeMutable() > A mutable diagram requires the default voronoiIdProperty option.', {voronoiIdProperty: this.options.voronoiIdProperty});
+        }
+    if (bbox) {
+        this.validateBbox(bbox, 'Voronoi.computeMutable()');
+        }
+    return new this.MutableDiagram(this, sites, bbox);
+    };
+
+Voronoi.prototype.MutableDiagram = function(voronoi, sites, bbox) {
+    this.voronoi = voronoi;
+    this.bbox = bbox;
+    this.cells = [];
+    this.edges = [];
+    this.vertices = [];
+    this.triangles = [];
+    this.triangulation = null;
+    // sites with no cell
+    this.redundant = [];
+    // see Voronoi.addDuplicate()
+    this.duplicates = [];
+    this.freeIds = [];
+    this.stamp = 0;
+    this.marks = [];
+    this.cellIndex = null;
+    this.neighborIndex = null;
+    // see Voronoi.MutableDiagram.link()
+    this.linked = false;
+    voronoi.updateEpsilon(sites, bbox);
+    var nSites = sites.length,
+        iSite;
+    for (iSite=0; iSite<nSites; iSite++) {
+        this.cells[iSite] = voronoi.createCell(sites[iSite]);
+        sites[iSite].voronoiId = iSite;
+        }
+    this.rebuild();
+    };
+
+Voronoi.prototype.MutableDiagram.prototype = Object.create(Voronoi.prototype.Diagram.prototype);
+Voronoi.prototype.MutableDiagram.prototype.constructor = Voronoi.prototype.MutableDiagram;
+
+Voronoi.prototype.MutableDiagram.prototype.addSite = function(site) {
+    this.voronoi.validateSite(site, 'Voronoi.MutableDiagram.addSite()');
+    if (this.hasSite(site)) {
+        throw new this.voronoi.VoronoiInputError('Voronoi.MutableDiagram.addSite() > The site is already in the diagram.', {site: site});
+        }
+    var into = this.findDuplicate(site);
+    if (into) {
+        this.addDuplicate(site, into);
+        return [];
+        }
+    var voronoiId = this.freeIds.length ? this.freeIds.pop() : this.cells.length,
+        cell = this.voronoi.createCell(site);
+    this.cells[voronoiId] = cell;
+    site.voronoiId = voronoiId;
+    if (!this.triangulation) {
+        return this.rebuild();
+        }
+    var affected = this.triangulation.insert(site);
+    if (!affected) {
+        this.redundant.push(site);
+        return [cell];
+        }
+    affected.push(site);
+    return this.update(affected);
+    };
+
+Voronoi.prototype.MutableDiagram.prototype.removeSite = function(site) {
+    var duplicates = this.duplicates,
+        iDuplicate = duplicates.length,
+        orphans = [],
+        changed;
+    if (!this.hasSite(site)) {
+        throw new this.voronoi.VoronoiInputError('Voronoi.MutableDiagram.removeSite() > The site isn\'t in the diagram.', {site: site});
+        }
+    while (iDuplicate--) {
+        if (duplicates[iDuplicate].site === site) {
+            duplicates.splice(iDuplicate, 1);
+            return [];
+            }
+        if (duplicates[iDuplicate].into === site) {
+            orphans.unshift(duplicates[iDuplicate].site);
+            duplicates.splice(iDuplicate, 1);
+            }
+        }
+    changed = this.removeCell(site);
+    // the sites which collapsed into the removed site are added again, the
+    // first one gets a cell of its own, the others collapse into it
+    var nOrphans = orphans.length,
+        iOrphan;
+    for (iOrphan=0; iOrphan<nOrphans; iOrphan++) {
+        changed = changed.concat(this.addSite(orphans[iOrphan]));
+        }
+    return this.uniqueCells(changed);
+    };
+
+// Remove a site which has a cell, return the cells which changed.
+Voronoi.prototype.MutableDiagram.prototype.removeCell = function(site) {
+    var voronoiId = site.voronoiId,
+        cell = this.cells[voronoiId];
+    this.freeIds.push(voronoiId);
+    cell.site = null;
+    var iRedundant = this.redundant.indexOf(site);
+    if (iRedundant >= 0) {
+        this.redundant.splice(iRedundant, 1);
+        return [cell];
+        }
+    var affected = this.triangulation && this.triangulation.remove(site);
+    if (!affected) {
+        return this.rebuild();
+        }
+    // sites which had no cell might get one now, if they fall within the
+    // area previously covered by the removed site
+    var xmin = site.x,
+        ymin = site.y,
+        xmax = site.x,
+        ymax = site.y,
+        iSite = affected.length,
+        other,
+        reinserted;
+    while (iSite--) {
+        other = affected[iSite];
+        if (other.x < xmin) {xmin = other.x;}
+        if (other.y < ymin) {ymin = other.y;}
+        if (other.x > xmax) {xmax = other.x;}
+        if (other.y > ymax) {ymax = other.y;}
+        }
+    iRedundant = this.redundant.length;
+    while (iRedundant--) {
+        other = this.redundant[iRedundant];
+        if (other.x < xmin || other.x > xmax || other.y < ymin || other.y > ymax) {continue;}
+        reinserted = this.triangulation.insert(other);
+        if (reinserted) {
+            this.redundant.splice(iRedundant, 1);
+            affected = affected.concat(reinserted, other);
+            }
+        }
+    // the cell of the removed site is updated along with the others, so
+    // that its edges are discarded
+    affected.push(site);
+    return this.update(affected);
+    };
+
+Voronoi.prototype.MutableDiagram.prototype.moveSite = function(site, x, y) {
+    this.voronoi.validateSite({x: x, y: y, weight: site.weight}, 'Voronoi.MutableDiagram.moveSite()');
+    if (!this.hasSite(site)) {
+        throw new this.voronoi.VoronoiInputError('Voronoi.MutableDiagram.moveSite() > The site isn\'t in the diagram.', {site: site});
+        }
+    var changed = this.removeSite(site);
+    site.x = x;
+    site.y = y;
+    changed = changed.concat(this.addSite(site));
+    return this.uniqueCells(changed);
+    };
+
+// Return whether a site is in the diagram, be it with a cell, with no cell,
+// or as a duplicate.
+Voronoi.prototype.MutableDiagram.prototype.hasSite = function(site) {
+    var cell = this.cells[site.voronoiId];
+    if (cell && cell.site === site) {
+        return true;
+        }
+    var duplicates = this.duplicates,
+        iDuplicate = duplicates.length;
+    while (iDuplicate--) {
+        if (duplicates[iDuplicate].site === site) {
+            return true;
+            }
+        }
+    return false;
+    };
+
+// Link the halfedges of the diagram, see Voronoi.Diagram.link(). Once
+// linked, the halfedges of the cells changed by each update are linked
+// again, until the diagram is rebuilt.
+Voronoi.prototype.MutableDiagram.prototype.link = function() {
+    if (this.linked) {
+        return this;
+        }
+    var voronoi = this.voronoi,
+        cells = voronoi.cells;
+    voronoi.cells = this.cells;
+    voronoi.linkCells();
+    voronoi.cells = cells;
+    this.linked = true;
+    return this;
+    };
+
+// The same cell can show up more than once in the cells changed by
+// successive updates, return them with each cell once.
+Voronoi.prototype.MutableDiagram.prototype.uniqueCells = function(cells) {
+    var iCell = cells.length;
+    while (iCell--) {
+        if (cells.indexOf(cells[iCell]) < iCell) {
+            cells.splice(iCell, 1);
+            }
+        }
+    return cells;
+    };
+
+// Record that a site collapsed into another one, as per the 'duplicates'
+// option, see Voronoi.addDuplicate(): it shares the cell of that site.
+Voronoi.prototype.MutableDiagram.prototype.addDuplicate = function(site, into) {
+    var voronoi = this.voronoi;
+    voronoi.duplicates = this.duplicates;
+    voronoi.addDuplicate(site, into);
+    voronoi.duplicates = [];
+    site.voronoiId = into.voronoiId;
+    };
+
+// Return the site with a cell at the position of the supplied site, or
+// within the 'duplicateTolerance' option of it, or null if there is none.
+// The search starts from the sites of the triangle in which the site falls,
+// and walks to nearer neighbors as long as there are any.
+Voronoi.prototype.MutableDiagram.prototype.findDuplicate = function(site) {
+    var tolerance = this.voronoi.options.duplicateTolerance || 0,
+        triangulation = this.triangulation,
+        cells = this.cells,
+        nearest = null,
+        d = Infinity,
+        me = this,
+        consider = function(other) {
+            if (!other) {return false;}
+            var dx = other.x-site.x,
+                dy = other.y-site.y,
+                dOther = dx*dx+dy*dy;
+            if (dOther < d) {
+                nearest = other;
+                d = dOther;
+                return true;
+                }
+            return false;
+            },
+        iCell, other,
+        triangle, first, i, better;
+    // too few sites for a triangulation
+    if (!triangulation) {
+        for (iCell=0; iCell<cells.length; iCell++) {
+            other = cells[iCell].site;
+            if (other && other.voronoiId === iCell && me.redundant.indexOf(other) < 0) {
+                consider(other);
+                }
+            }
+        }
+    else {
+        triangle = triangulation.locate(site);
+        for (i=0; i<3; i++) {
+            consider(triangle.v[i]);
+            }
+        do {
+            better = false;
+            first = triangle = triangulation.incident[nearest.voronoiId];
+            do {
+                i = triangle.v[0] === nearest ? 0 : (triangle.v[1] === nearest ? 1 : 2);
+                other = triangle.v[(i+1)%3];
+                triangle = triangle.n[(i+1)%3];
+                if (consider(other)) {
+                    better = true;
+                    break;
+                    }
+                } while (triangle !== first);
+            } while (better);
+        }
+    return nearest && d <= tolerance*tolerance ? nearest : null;
+    };
+
+// Compute the triangulation from scratch, return all the cells.
+Voronoi.prototype.MutableDiagram.prototype.rebuild = function() {
+    var cells = this.cells,
+        nCells = cells.length,
+        iCell,
+        sites = [],
+        site;
+    for (iCell=0; iCell<nCells; iCell++) {
+        site = cells[iCell].site;
+        if (site && site.voronoiId === iCell) {
+            sites.push(site);
+            }
+        }
+    sites = this.collapseDuplicates(sites);
+    this.triangulation = null;
+    this.linked = false;
+    this.redundant = [];
+    this.edges = [];
+    this.vertices = [];
+    this.triangles = [];
+
+    // find three sites which are not collinear to start the triangulation,
+    // if there are none, the diagram is computed from scratch
+    var triangulation = new this.voronoi.RegularTriangulation(),
+        nSites = sites.length,
+        iSite, iSecond, iThird;
+    triangulation.journal = [];
+    for (iSecond=1; iSecond<nSites; iSecond++) {
+        if (sites[iSecond].x !== sites[0].x || sites[iSecond].y !== sites[0].y) {break;}
+        }
+    for (iThird=iSecond+1; iThird<nSites; iThird++) {
+        if (triangulation.orient(sites[0], sites[iSecond], sites[iThird])) {break;}
+        }
+    if (iThird >= nSites) {
+        this.compute(sites);
+        return cells.slice(0);
+        }
+    triangulation.init(sites[0], sites[iSecond], sites[iThird]);
+    for (iSite=1; iSite<nSites; iSite++) {
+        if (iSite !== iSecond && iSite !== iThird && !triangulation.insert(sites[iSite])) {
+            this.redundant.push(sites[iSite]);
+            }
+        }
+    this.triangulation = triangulation;
+    this.update(sites);
+    return cells.slice(0);
+    };
+
+// Collapse the sites at the same position, or within the
+// 'duplicateTolerance' option of each other, and free their cells, return
+// the remaining sites.
+Voronoi.prototype.MutableDiagram.prototype.collapseDuplicates = function(sites) {
+    var voronoi = this.voronoi,
+        sorted = sites.slice(0),
+        uniques = [],
+        nSites = sorted.length,
+        iSite,
+        site,
+        previous = null,
+        duplicates = this.duplicates,
+        nDuplicates = duplicates.length,
+        iDuplicate;
+    sorted.sort(function(a,b){
+        return a.y-b.y || a.x-b.x;
+        });
+    voronoi.duplicates = duplicates;
+    if (voronoi.options.duplicateTolerance > 0) {
+        uniques = voronoi.collapseNearDuplicates(sorted);
+        }
+    else {
+        for (iSite=0; iSite<nSites; iSite++) {
+            site = sorted[iSite];
+            if (previous && site.x === previous.x && site.y === previous.y) {
+                voronoi.addDuplicate(site, previous);
+                }
+            else {
+                uniques.push(site);
+                previous = site;
+                }
+            }
+        }
+    voronoi.duplicates = [];
+    if (uniques.length === nSites) {
+        return sites;
+        }
+    // the cells of the duplicate sites are free
+    for (iDuplicate=nDuplicates; iDuplicate<duplicates.length; iDuplicate++) {
+        site = duplicates[iDuplicate].site;
+        this.cells[site.voronoiId].site = null;
+        this.freeIds.push(site.voronoiId);
+        site.voronoiId = duplicates[iDuplicate].into.voronoiId;
+        }
+    var cells = this.cells;
+    return sites.filter(function(site) {
+        return cells[site.voronoiId].site === site;
+        });
+    };
+
+// Too few sites for a triangulation: compute the diagram the usual way,
+// while preserving voronoiIds.
+Voronoi.prototype.MutableDiagram.prototype.compute = function(sites) {
+    // compute() assigns its own voronoiIds, duplicate sites get the one of
+    // the site they collapsed into
+    var diagram = this.voronoi.compute(sites, this.bbox),
+        cells = this.cells,
+        iCell = cells.length,
+        site;
+    while (iCell--) {
+        site = cells[iCell].site;
+        if (!site) {
+            cells[iCell].halfedges = [];
+            continue;
+            }
+        if (diagram.cells[site.voronoiId].site !== site) {
+            this.redundant.push(site);
+            cells[iCell].halfedges = [];
+            }
+        else {
+            cells[iCell].halfedges = diagram.cells[site.voronoiId].halfedges;
+            }
+        site.voronoiId = iCell;
+        }
+    this.edges = diagram.edges;
+    this.vertices = diagram.vertices;
+    this.triangles = diagram.triangles;
+    this.cellIndex = null;
+    this.neighborIndex = null;
+    };
+
+// Compute again the cells of the supplied sites, from the triangulation.
+Voronoi.prototype.MutableDiagram.prototype.update = function(sites) {
+    var voronoi = this.voronoi,
+        triangulation = this.triangulation,
+        cells = this.cells,
+        marks = this.marks,
+        stamp = ++this.stamp,
+        nSites = sites.length,
+        iSite,
+        site,
+        cell,
+        changed = [],
+        discarded = [],
+        halfedges, iHalfedge,
+        edge,
+        triangle;
+
+    // sites which had all their triangles destroyed no longer have a cell
+    for (iSite=0; iSite<nSites; iSite++) {
+        site = sites[iSite];
+        triangle = triangulation.incident[site.voronoiId];
+        if (cells[site.voronoiId].site === site && (!triangle || triangle.dead)) {
+            if (this.redundant.indexOf(site) < 0) {
+                this.redundant.push(site);
+                }
+            }
+        marks[site.voronoiId] = stamp;
+        }
+
+    // the edges of the affected cells are discarded, except for those shared
+    // with a cell which is not affected
+    for (iSite=0; iSite<nSites; iSite++) {
+        cell = cells[sites[iSite].voronoiId];
+        if (changed.indexOf(cell) >= 0) {continue;}
+        changed.push(cell);
+        halfedges = cell.halfedges;
+        iHalfedge = halfedges.length;
+        while (iHalfedge--) {
+            edge = halfedges[iHalfedge].edge;
+            if (edge.mark !== stamp) {
+                edge.mark = stamp;
+                discarded.push(edge);
+                }
+            }
+        cell.halfedges = [];
+        cell.closeMe = true;
+        }
+
+    // create the edges between affected sites, reuse the other ones
+    var edges = [],
+        nChanged = changed.length,
+        iChanged,
+        first, neighbor,
+        other,
+        i;
+    voronoi.cells = cells;
+    voronoi.edges = edges;
+    voronoi.vertices = [];
+    for (iChanged=0; iChanged<nChanged; iChanged++) {
+        site = changed[iChanged].site;
+        first = triangle = site && triangulation.incident[site.voronoiId];
+        if (!triangle || triangle.dead) {continue;}
+        do {
+            i = triangle.v[0] === site ? 0 : (triangle.v[1] === site ? 1 : 2);
+            other = triangle.v[(i+1)%3];
+            neighbor = triangle.n[(i+2)%3];
+            if (other && marks[other.voronoiId] !== stamp) {
+                edge = this.getEdge(other, site);
+                if (edge) {
+                    edge.mark = 0;
+                    changed[iChanged].halfedges.push(voronoi.createHalfedge(edge, site, other));
+                    }
+                }
+            else if (other && site.voronoiId < other.voronoiId) {
+                this.createEdge(triangle, neighbor, site, other);
+                }
+            triangle = triangle.n[(i+1)%3];
+            } while (triangle !== first);
+        }
+
+    if (this.bbox) {
+        voronoi.closeDiagram(this.bbox, changed);
+        }
+    else {
+        for (iChanged=0; iChanged<nChanged; iChanged++) {
+            changed[iChanged].halfedges.sort(function(a,b){return b.angle-a.angle;});
+            }
+        }
+    // once linked, the halfedges are kept linked: only those of the affected
+    // cells need to be linked again
+    if (this.linked) {
+        voronoi.linkCells(changed);
+        }
+    // the indices used to find cells and sites are out of date
+    this.cellIndex = null;
+    this.neighborIndex = null;
+
+    // update the lists of edges, vertices and triangles in place, see
+    // Voronoi.MutableDiagram.addItem(). The vertices of the discarded edges
+    // which the affected cells no longer use are gone: an unaffected cell
+    // meeting one of these vertices would share an edge ending there with
+    // an affected cell.
+    var vertex;
+    for (iChanged=0; iChanged<nChanged; iChanged++) {
+        halfedges = changed[iChanged].halfedges;
+        iHalfedge = halfedges.length;
+        while (iHalfedge--) {
+            edge = halfedges[iHalfedge].edge;
+            if (edge.va) {edge.va.mark = stamp;}
+            if (edge.vb) {edge.vb.mark = stamp;}
+            }
+        }
+    var iEdge = discarded.length;
+    while (iEdge--) {
+        edge = discarded[iEdge];
+        if (edge.mark !== stamp) {continue;}
+        this.removeItem(this.edges, edge);
+        vertex = edge.va;
+        if (vertex && vertex.mark !== stamp) {
+            this.removeItem(this.vertices, vertex);
+            }
+        vertex = edge.vb;
+        if (vertex && vertex.mark !== stamp) {
+            this.removeItem(this.vertices, vertex);
+            }
+        }
+    iEdge = edges.length;
+    while (iEdge--) {
+        edge = edges[iEdge];
+        this.addItem(this.edges, edge);
+        if (edge.va) {this.addItem(this.vertices, edge.va);}
+        if (edge.vb) {this.addItem(this.vertices, edge.vb);}
+        }
+    var journal = triangulation.journal,
+        nJournal = journal.length,
+        iJournal;
+    for (iJournal=0; iJournal<nJournal; iJournal++) {
+        triangle = journal[iJournal];
+        if (triangle.dead) {
+            if (triangle.triangle) {
+                this.removeItem(this.triangles, triangle.triangle);
+                }
+            }
+        else if (triangle.v[0] && triangle.v[1] && triangle.v[2]) {
+            // triangulation triangles are counterclockwise with the y axis
+            // pointing upward, Voronoi.Triangle ones with the y axis
+            // pointing downward
+            if (!triangle.triangle) {
+                triangle.triangle = new voronoi.Triangle(triangle.v[0], triangle.v[2], triangle.v[1]);
+                }
+            this.addItem(this.triangles, triangle.triangle);
+            }
+        }
+    journal.length = 0;
+    // the dead triangles are dropped from the triangulation once they
+    // outnumber the live ones, so that this is done now and then only
+    if (triangulation.triangles.length > 4*this.triangles.length+16) {
+        triangulation.getTriangles();
+        }
+    return changed;
+    };
+
+// The edges, vertices and triangles record their position in the list of
+// the diagram they belong to, so that they can be removed from it without
+// searching: the last item of the list takes the place of the removed one.
+Voronoi.prototype.MutableDiagram.prototype.addItem = function(list, item) {
+    if (list[item.listIndex] !== item) {
+        item.listIndex = list.length;
+        list.push(item);
+        }
+    };
+
+Voronoi.prototype.MutableDiagram.prototype.removeItem = function(list, item) {
+    var index = item.listIndex,
+        last;
+    if (list[index] !== item) {return;}
+    last = list.pop();
+    if (last !== item) {
+        list[index] = last;
+        last.listIndex = index;
+        }
+    item.listIndex = undefined;
+    };
+
+// Return the edge shared by the cell of a site with another site.
+Voronoi.prototype.MutableDiagram.prototype.getEdge = function(site, other) {
+    var halfedges = this.cells[site.voronoiId].halfedges,
+        iHalfedge = halfedges.length,
+        edge;
+    while (iHalfedge--) {
+        edge = halfedges[iHalfedge].edge;
+        if (edge.lSite === other || edge.rSite === other) {
+            return edge;
+            }
+        }
+    return null;
+    };
+
+// Create the edge dual to the triangulation edge shared by two triangles,
+// oriented as in Voronoi.computePowerDiagram().
+Voronoi.prototype.MutableDiagram.prototype.createEdge = function(triangle, neighbor, site, other) {
+    var voronoi = this.voronoi,
+        edge;
+    if (!triangle.v[0] || !triangle.v[1] || !triangle.v[2]) {
+        edge = voronoi.createEdge(other, site);
+        edge.va = this.getVertex(neighbor);
+        edge.vb = null;
+        }
+    else {
+        edge = voronoi.createEdge(site, other);
+        edge.va = this.getVertex(triangle);
+        edge.vb = neighbor.v[0] && neighbor.v[1] && neighbor.v[2] ? this.getVertex(neighbor) : null;
+        }
+    return edge;
+    };
+
+// The vertex of a triangle is created once, and shared by all the edges
+// which need it.
+Voronoi.prototype.MutableDiagram.prototype.getVertex = function(triangle) {
+    if (!triangle.vertex) {
+        triangle.vertex = this.voronoi.orthocenter(triangle.v[0], triangle.v[1], triangle.v[2]);
+        }
+    return triangle.vertex;
+    };
+
+// ---------------------------------------------------------------------------
+// Debugging helper
+
+// Return the beach sections, from left to right, as {site, xl, xr} objects,
+// while stepping through the computation, see Voronoi.begin(). Printing
+// them is left to the caller, e.g. console.table(voronoi.dumpBeachline()).
+Voronoi.prototype.dumpBeachline = function(y) {
+    return this.stepping ? this.getSnapshot(y).beachline : [];
+    };
+
+// ---------------------------------------------------------------------------
+// Helper: Quantize sites
+
+// rhill 2013-10-12:
+// This is to solve https://github.com/gorhill/Javascript-Voronoi/issues/15
+// Since not all users will end up using the kind of coord values which would
+// cause the issue to arise, I chose to let the user decide whether or not
+// he should sanitize his coord values through this helper. This way, for
+// those users who uses coord values which are known to be fine, no overhead is
+// added.
+
+// See also the 'robust' option of the constructor, which doesn't alter the
+// sites.
+
+Voronoi.prototype.quantizeSites = function(sites) {
+    var ε = this.ε,
+        n = sites.length,
+        site;
+    while ( n-- ) {
+        site = sites[n];
+        site.x = Math.floor(site.x / ε) * ε;
+        site.y = Math.floor(site.y / ε) * ε;
+        }
+    };
+
+// ---------------------------------------------------------------------------
+// Helper: Recycle diagram: all vertex, edge and cell objects are
+// "surrendered" to the Voronoi object for reuse.
+// TODO: rhill-voronoi-core v2: more performance to be gained
+// when I change the semantic of what is returned.
+
+Voronoi.prototype.recycle = function(diagram) {
+    if ( diagram ) {
+        if ( diagram instanceof this.Diagram ) {
+            this.toRecycle = diagram;
+            }
+        else {
+            throw new this.VoronoiInputError('Voronoi.recycle() > Need a Diagram object.', {diagram: diagram});
+            }
+        }
+    };
+
+// ---------------------------------------------------------------------------
+// Clip an unclipped diagram, as returned by Voronoi.compute() when no
+// bounding box is supplied, without having to run Fortune's algorithm again.
+// The returned diagram is a new diagram, the supplied diagram is left
+// untouched, so that it can be clipped again using a different bounding box.
+
+Voronoi.prototype.clip = function(diagram, bbox) {
+    this.validateBbox(bbox, 'Voronoi.clip()');
+    // to measure execution time
+    var startTime = new Date();
+
+    // init internal state
+    this.reset();
+    this.updateEpsilon(diagram.vertices, bbox);
+
+    // vertices are copied, so that the returned diagram can be recycled
+    // without corrupting the diagram it was clipped from. For the time of
+    // the copy, each source vertex refers to its copy.
+    var vertices = diagram.vertices,
+        nVertices = vertices.length,
+        iVertex,
+        vertex;
+    for (iVertex=0; iVertex<nVertices; iVertex++) {
+        vertex = vertices[iVertex];
+        vertex.copy = this.createVertex(vertex.x, vertex.y);
+        }
+
+    var cells = diagram.cells,
+        nCells = cells.length,
+        iCell;
+    for (iCell=0; iCell<nCells; iCell++) {
+        this.cells[iCell] = this.createCell(cells[iCell].site);
+        }
+
+    // border edges, if any, are not copied, closing the cells will
+    // create new ones
+    var edges = diagram.edges,
+        iEdge = edges.length,
+        edge, copy;
+    while (iEdge--) {
+        edge = edges[iEdge];
+        if (!edge.rSite) {continue;}
+        copy = this.createEdge(edge.lSite, edge.rSite);
+        copy.va = edge.va ? edge.va.copy : null;
+        copy.vb = edge.vb ? edge.vb.copy : null;
+        }
+
+    for (iVertex=0; iVertex<nVertices; iVertex++) {
+        vertices[iVertex].copy = undefined;
+        }
+
+    this.closeDiagram(bbox);
+
+    // to measure execution time
+    var stopTime = new Date();
+
+    // prepare return values
+    var clipped = new this.Diagram();
+    clipped.cells = this.cells;
+    clipped.edges = this.edges;
+    clipped.vertices = this.vertices;
+    clipped.triangles = diagram.triangles.slice(0);
+    clipped.duplicates = diagram.duplicates ? diagram.duplicates.slice(0) : [];
+    clipped.suppliedSites = diagram.suppliedSites || null;
+    clipped.siteCopies = diagram.siteCopies || null;
+    clipped.execTime = stopTime.getTime()-startTime.getTime();
+
+    // clean up
+    this.reset();
+
+    return clipped;
+    };
+
+// ---------------------------------------------------------------------------
+// Export methods
+
+// Return an SVG document of the diagram, as a string. Cells are exported as
+// <path> elements, with a 'data-voronoi-id' attribute set to the voronoiId
+// of their site. Cells which aren't closed can't be drawn, and are skipped.
+// Options:
+//   bbox: the bounding box (or polygon, circle, ellipse) used to compute the
+//     diagram, from which the viewBox is derived. Default is the bounding
+//     box of the vertices of the edges.
+//   fill: the fill color of the cells, either a string or a function
+//     called with a cell and returning a string. Default is 'none'.
+//   stroke: the color of the strokes, default is 'black'
+//   strokeWidth: the width of the strokes, default is 1
+//   edges: if true, the edges are exported as separate <line> elements, and
+//     the cells are not stroked
+//   sites: if true, the sites are exported as <circle> elements
+//   siteRadius: the radius of the site circles, default is 2
+//   precision: the number of decimals of the coordinates, default is 2
+Voronoi.prototype.Diagram.prototype.toSVG = function(options) {
+    options = options || {};
+    var precision = options.precision !== undefined ? options.precision : 2,
+        fill = options.fill || 'none',
+        stroke = this.escapeXML(options.stroke || 'black'),
+        strokeWidth = options.strokeWidth !== undefined ? options.strokeWidth : 1,
+        siteRadius = options.siteRadius !== undefined ? options.siteRadius : 2,
+        extent = this.getExtent(options.bbox),
+        format = function(n) {
+            return String(+n.toFixed(precision));
+            },
+        svg = [],
+        cells = this.cells,
+        nCells = cells.length,
+        iCell,
+        cell,
+        vertices, nVertices, iVertex,
+        d;
+    svg.push('<svg xmlns="http://www.w3.org/2000/svg" viewBox="' +
+        format(extent.xl) + ' ' + format(extent.yt) + ' ' +
+        format(extent.xr-extent.xl) + ' ' + format(extent.yb-extent.yt) + '">');
+
+    svg.push('<g class="cells" stroke="' + (options.edges ? 'none' : stroke) +
+        '" stroke-width="' + format(strokeWidth) + '">');
+    for (iCell=0; iCell<nCells; iCell++) {
+        cell = cells[iCell];
+        if (!cell.site || !cell.isClosed()) {continue;}
+        vertices = cell.getVertices();
+        nVertices = vertices.length;
+        d = 'M' + format(vertices[0].x) + ',' + format(vertices[0].y);
+        for (iVertex=1; iVertex<nVertices; iVertex++) {
+            d += 'L' + format(vertices[iVertex].x) + ',' + format(vertices[iVertex].y);
+            }
+        svg.push('<path data-voronoi-id="' + cell.site.voronoiId + '" fill="' +
+            this.escapeXML(typeof fill === 'function' ? fill(cell) : fill) +
+            '" d="' + d + 'Z"/>');
+        }
+    svg.push('</g>');
+
+    if (options.edges) {
+        var edges = this.edges,
+            nEdges = edges.length,
+            iEdge,
+            edge;
+        svg.push('<g class="edges" stroke="' + stroke + '" stroke-width="' + format(strokeWidth) + '">');
+        for (iEdge=0; iEdge<nEdges; iEdge++) {
+            edge = edges[iEdge];
+            if (!edge.va || !edge.vb) {continue;}
+            svg.push('<line x1="' + format(edge.va.x) + '" y1="' + format(edge.va.y) +
+                '" x2="' + format(edge.vb.x) + '" y2="' + format(edge.vb.y) + '"/>');
+            }
+        svg.push('</g>');
+        }
+
+    if (options.sites) {
+        svg.push('<g class="sites" fill="' + stroke + '">');
+        for (iCell=0; iCell<nCells; iCell++) {
+            cell = cells[iCell];
+            if (!cell.site) {continue;}
+            svg.push('<circle data-voronoi-id="' + cell.site.voronoiId + '" cx="' +
+                format(cell.site.x) + '" cy="' + format(cell.site.y) +
+                '" r="' + format(siteRadius) + '"/>');
+            }
+        svg.push('</g>');
+        }
+
+    svg.push('</svg>');
+    return svg.join('\n');
+    };
+
+// Return a compact representation of the diagram, suitable for
+// JSON.stringify(), in which the objects shared by the diagram are replaced
+// by indices:
+//   sites: the array of the sites of the cells, indexed by voronoiId (null
+//     for a cell with no site), followed by the duplicate sites
+//   vertices: the coordinates of the vertices, as a flat array [x0, y0,
+//     x1, y1, ...]
+//   edges: the edges, as a flat array of four indices per edge: lSite,
+//     rSite, va, vb (-1 for null)
+//   cells: for each cell, the array of the indices of the edges of its
+//     halfedges, in order
+//   triangles: the triangles, as a flat array of three site indices per
+//     triangle
+//   duplicates: the duplicate sites, see Voronoi.addDuplicate(), as a flat
+//     array of two site indices per duplicate site: the site, and the site
+//     it collapsed into
+//   execTime
+// See Voronoi.Diagram.fromJSON().
+Voronoi.prototype.Diagram.prototype.toJSON = function() {
+    var cells = this.cells,
+        nCells = cells.length,
+        iCell,
+        halfedges, nHalfedges, iHalfedge,
+        vertices = this.vertices,
+        nVertices = vertices.length,
+        iVertex,
+        edges = this.edges,
+        nEdges = edges.length,
+        iEdge,
+        edge,
+        triangles = this.triangles || [],
+        nTriangles = triangles.length,
+        iTriangle,
+        duplicates = this.duplicates || [],
+        nDuplicates = duplicates.length,
+        iDuplicate,
+        json = {
+            sites: [],
+            vertices: [],
+            edges: [],
+            cells: [],
+            triangles: [],
+            duplicates: [],
+            execTime: this.execTime
+            },
+        indexOfVertex = function(vertex) {
+            if (!vertex) {
+                return -1;
+                }
+            // a vertex which isn't listed in the diagram's vertices
+            if (vertex.jsonIndex === undefined) {
+                vertex.jsonIndex = json.vertices.length/2;
+                json.vertices.push(vertex.x, vertex.y);
+                vertices.push(vertex);
+                }
+            return vertex.jsonIndex;
+            };
+    for (iCell=0; iCell<nCells; iCell++) {
+        json.sites.push(cells[iCell].site || null);
+        }
+    for (iDuplicate=0; iDuplicate<nDuplicates; iDuplicate++) {
+        json.duplicates.push(json.sites.length, this.getSiteCopy(duplicates[iDuplicate].into).voronoiId);
+        json.sites.push(this.getSiteCopy(duplicates[iDuplicate].site));
+        }
+    // for the time of the conversion, objects refer to their index
+    for (iVertex=0; iVertex<nVertices; iVertex++) {
+        vertices[iVertex].jsonIndex = iVertex;
+        json.vertices.push(vertices[iVertex].x, vertices[iVertex].y);
+        }
+    vertices = vertices.slice(0);
+    for (iEdge=0; iEdge<nEdges; iEdge++) {
+        edge = edges[iEdge];
+        edge.jsonIndex = iEdge;
+        json.edges.push(
+            edge.lSite.voronoiId,
+            edge.rSite ? edge.rSite.voronoiId : -1,
+            indexOfVertex(edge.va),
+            indexOfVertex(edge.vb)
+            );
+        }
+    for (iCell=0; iCell<nCells; iCell++) {
+        halfedges = cells[iCell].halfedges;
+        nHalfedges = halfedges.length;
+        json.cells[iCell] = [];
+        for (iHalfedge=0; iHalfedge<nHalfedges; iHalfedge++) {
+            json.cells[iCell].push(halfedges[iHalfedge].edge.jsonIndex);
+            }
+        }
+    for (iTriangle=0; iTriangle<nTriangles; iTriangle++) {
+        json.triangles.push(
+            triangles[iTriangle].a.voronoiId,
+            triangles[iTriangle].b.voronoiId,
+            triangles[iTriangle].c.voronoiId
+            );
+        }
+    iVertex = vertices.length;
+    while (iVertex--) {
+        vertices[iVertex].jsonIndex = undefined;
+        }
+    iEdge = nEdges;
+    while (iEdge--) {
+        edges[iEdge].jsonIndex = undefined;
+        }
+    return json;
+    };
+
+// Return a new diagram from its compact representation, as returned by
+// Voronoi.Diagram.toJSON(), either as an object or as a JSON string. The
+// sites of the returned diagram are the sites of the compact
+// representation.
+Voronoi.prototype.Diagram.fromJSON = function(json) {
+    if (typeof json === 'string') {
+        json = JSON.parse(json);
+        }
+    var voronoi = new Voronoi(),
+        sites = json.sites,
+        nCells = json.cells.length,
+        iCell,
+        site,
+        vertices = [],
+        nVertices = json.vertices.length,
+        iVertex,
+        edges = [],
+        nEdges = json.edges.length,
+        iEdge,
+        edge,
+        cells = [],
+        halfedges, nHalfedges, iHalfedge,
+        triangles = [],
+        nTriangles = json.triangles.length,
+        iTriangle,
+        duplicates = [],
+        jsonDuplicates = json.duplicates || [],
+        nDuplicates = jsonDuplicates.length,
+        iDuplicate,
+        vertexAt = function(index) {
+            return index < 0 ? null : vertices[index];
+            };
+    for (iCell=0; iCell<nCells; iCell++) {
+        site = sites[iCell];
+        if (site) {
+            site.voronoiId = iCell;
+            }
+        cells.push(new voronoi.Cell(site));
+        }
+    // duplicate sites share the cell of the site they collapsed into
+    for (iDuplicate=0; iDuplicate<nDuplicates; iDuplicate+=2) {
+        site = sites[jsonDuplicates[iDuplicate]];
+        site.voronoiId = jsonDuplicates[iDuplicate+1];
+        duplicates.push({site: site, into: sites[site.voronoiId]});
+        }
+    for (iVertex=0; iVertex<nVertices; iVertex+=2) {
+        vertices.push(new voronoi.Vertex(json.vertices[iVertex], json.vertices[iVertex+1]));
+        }
+    for (iEdge=0; iEdge<nEdges; iEdge+=4) {
+        edge = new voronoi.Edge(sites[json.edges[iEdge]], json.edges[iEdge+1] < 0 ? null : sites[json.edges[iEdge+1]]);
+        edge.va = vertexAt(json.edges[iEdge+2]);
+        edge.vb = vertexAt(json.edges[iEdge+3]);
+        edges.push(edge);
+        }
+    for (iCell=0; iCell<nCells; iCell++) {
+        site = sites[iCell];
+        halfedges = json.cells[iCell];
+        nHalfedges = halfedges.length;
+        for (iHalfedge=0; iHalfedge<nHalfedges; iHalfedge++) {
+            edge = edges[halfedges[iHalfedge]];
+            cells[iCell].halfedges.push(new voronoi.Halfedge(edge, site, edge.lSite === site ? edge.rSite : edge.lSite));
+            }
+        }
+    for (iTriangle=0; iTriangle<nTriangles; iTriangle+=3) {
+        triangles.push(new voronoi.Triangle(
+            sites[json.triangles[iTriangle]],
+            sites[json.triangles[iTriangle+1]],
+            sites[json.triangles[iTriangle+2]]
+            ));
+        }
+    var diagram = new voronoi.Diagram();
+    diagram.cells = cells;
+    diagram.edges = edges;
+    diagram.vertices = vertices;
+    diagram.triangles = triangles;
+    diagram.duplicates = duplicates;
+    diagram.execTime = json.execTime;
+    return diagram;
+    };
+
+// Return a flat representation of the diagram, made of typed arrays which
+// can be uploaded as is to a rendering pipeline, or transferred to or from
+// a worker without copying:
+//   vertices: a Float64Array of the coordinates of the vertices of the
+//     edges, [x0, y0, x1, y1, ...]
+//   edges: an Int32Array of four indices per edge: lSite, rSite, va, vb
+//     (-1 for null), sites being referred to by voronoiId
+//   cellOffsets: an Int32Array of nCells+1 offsets into halfedges: the
+//     halfedges of cell i are halfedges[cellOffsets[i]] up to, excluding,
+//     halfedges[cellOffsets[i+1]]
+//   halfedges: an Int32Array of the index of the edge of each halfedge of
+//     each cell, in order. A halfedge starts at the va of its edge if the
+//     cell is the lSite of the edge, at its vb otherwise
+//   sites: a Float64Array of the coordinates of the site of each cell
+//   siteIndices: an Int32Array of the 'index' of the site of each cell, for
+//     sites read from a typed array the index of the site in that array
+//     (-1 if none), see Voronoi.sitesFromCoordinates()
+//   duplicates: an Int32Array of two values per duplicate site, its 'index'
+//     (-1 if none), and the voronoiId of the site it collapsed into
+//   triangles: an Int32Array of three site voronoiIds per triangle
+//   execTime
+Voronoi.prototype.Diagram.prototype.toBuffers = function() {
+    var cells = this.cells,
+        nCells = cells.length,
+        iCell,
+        cell,
+        edges = this.edges,
+        nEdges = edges.length,
+        iEdge,
+        edge,
+        triangles = this.triangles || [],
+        nTriangles = triangles.length,
+        iTriangle,
+        duplicates = this.duplicates || [],
+        nDuplicates = duplicates.length,
+        iDuplicate,
+        indexed = [],
+        nIndexed,
+        iVertex,
+        vertex,
+        halfedges, nHalfedges, iHalfedge,
+        site,
+        buffers = {
+            vertices: null,
+            edges: new Int32Array(nEdges*4),
+            cellOffsets: new Int32Array(nCells+1),
+            halfedges: null,
+            sites: new Float64Array(nCells*2),
+            siteIndices: new Int32Array(nCells),
+            duplicates: new Int32Array(nDuplicates*2),
+            triangles: new Int32Array(nTriangles*3),
+            execTime: this.execTime
+            },
+        indexOfVertex = function(vertex) {
+            if (!vertex) {
+                return -1;
+                }
+            // only the vertices of the edges are listed
+            if (vertex.jsonIndex === undefined) {
+                vertex.jsonIndex = indexed.length;
+                indexed.push(vertex);
+                }
+            return vertex.jsonIndex;
+            };
+    // for the time of the conversion, vertices and edges refer to their
+    // index, as for Voronoi.Diagram.toJSON()
+    for (iEdge=0; iEdge<nEdges; iEdge++) {
+        edge = edges[iEdge];
+        edge.jsonIndex = iEdge;
+        buffers.edges[iEdge*4] = edge.lSite.voronoiId;
+        buffers.edges[iEdge*4+1] = edge.rSite ? edge.rSite.voronoiId : -1;
+        buffers.edges[iEdge*4+2] = indexOfVertex(edge.va);
+        buffers.edges[iEdge*4+3] = indexOfVertex(edge.vb);
+        }
+    nIndexed = indexed.length;
+    buffers.vertices = new Float64Array(nIndexed*2);
+    for (iVertex=0; iVertex<nIndexed; iVertex++) {
+        vertex = indexed[iVertex];
+        buffers.vertices[iVertex*2] = vertex.x;
+        buffers.vertices[iVertex*2+1] = vertex.y;
+        vertex.jsonIndex = undefined;
+        }
+    nHalfedges = 0;
+    for (iCell=0; iCell<nCells; iCell++) {
+        cell = cells[iCell];
+        buffers.cellOffsets[iCell] = nHalfedges;
+        nHalfedges += cell.halfedges.length;
+        site = cell.site;
+        buffers.sites[iCell*2] = site ? site.x : NaN;
+        buffers.sites[iCell*2+1] = site ? site.y : NaN;
+        buffers.siteIndices[iCell] = site && site.index !== undefined ? site.index : -1;
+        }
+    buffers.cellOffsets[nCells] = nHalfedges;
+    buffers.halfedges = new Int32Array(nHalfedges);
+    nHalfedges = 0;
+    for (iCell=0; iCell<nCells; iCell++) {
+        halfedges = cells[iCell].halfedges;
+        for (iHalfedge=0; iHalfedge<halfedges.length; iHalfedge++) {
+            buffers.halfedges[nHalfedges++] = halfedges[iHalfedge].edge.jsonIndex;
+            }
+        }
+    iEdge = nEdges;
+    while (iEdge--) {
+        edges[iEdge].jsonIndex = undefined;
+        }
+    for (iDuplicate=0; iDuplicate<nDuplicates; iDuplicate++) {
+        site = duplicates[iDuplicate].site;
+        buffers.duplicates[iDuplicate*2] = site.index !== undefined ? site.index : -1;
+        buffers.duplicates[iDuplicate*2+1] = this.getSiteCopy(duplicates[iDuplicate].into).voronoiId;
+        }
+    for (iTriangle=0; iTriangle<nTriangles; iTriangle++) {
+        buffers.triangles[iTriangle*3] = triangles[iTriangle].a.voronoiId;
+        buffers.triangles[iTriangle*3+1] = triangles[iTriangle].b.voronoiId;
+        buffers.triangles[iTriangle*3+2] = triangles[iTriangle].c.voronoiId;
+        }
+    return buffers;
+    };
+
+// Compute the diagram, return its flat representation, see
+// Voronoi.Diagram.toBuffers(). None of the objects of the diagram outlive
+// the call: only the typed arrays remain.
+Voronoi.prototype.computeBuffers = function(sites, bbox) {
+    return this.computeDiagram(sites, bbox, 'Voronoi.computeBuffers()').toBuffers();
+    };
+
+// Return whether the sites are supplied as a typed array of coordinates. A
+// DataView isn't one.
+Voronoi.prototype.isCoordinateArray = function(sites) {
+    return ArrayBuffer.isView(sites) && !(sites instanceof DataView);
+    };
+
+// Return an array of sites, one for each pair of a typed array (or an
+// array) of interleaved coordinates, [x0, y0, x1, y1, ...]. Each site
+// refers to the 'index' of its pair. compute() and begin() accept such a
+// typed array in place of the sites.
+Voronoi.prototype.sitesFromCoordinates = function(coordinates) {
+    if (!coordinates || typeof coordinates.length !== 'number') {
+        throw new this.VoronoiInputError('Voronoi.sitesFromCoordinates() > The coordinates must be a typed array or an array.', {coordinates: coordinates});
+        }
+    if (coordinates.length % 2) {
+        throw new this.VoronoiInputError('Voronoi.sitesFromCoordinates() > The number of coordinates must be even.', {coordinates: coordinates});
+        }
+    var nSites = coordinates.length/2,
+        iSite,
+        sites = new Array(nSites);
+    for (iSite=0; iSite<nSites; iSite++) {
+        sites[iSite] = {x: coordinates[iSite*2], y: coordinates[iSite*2+1], index: iSite};
+        }
+    return sites;
+    };
+
+// Return the extent of a bounding box, polygon, circle or ellipse, as an
+// object with xl, xr, yt, yb properties, or the extent of the vertices of
+// the edges of the diagram if none is supplied. The vertices of the diagram
+// can't do, as those of the edges discarded by the clipping are left in it.
+Voronoi.prototype.Diagram.prototype.getExtent = function(bbox) {
+    var points;
+    if (bbox) {
+        if (bbox.xl !== undefined) {
+            return bbox;
+            }
+        if (bbox.r !== undefined || bbox.rx !== undefined) {
+            var rx = bbox.rx !== undefined ? bbox.rx : bbox.r,
+                ry = bbox.ry !== undefined ? bbox.ry : bbox.r;
+            return {xl: bbox.cx-rx, xr: bbox.cx+rx, yt: bbox.cy-ry, yb: bbox.cy+ry};
+            }
+        points = bbox;
+        }
+    else {
+        points = [];
+        var edges = this.edges,
+            iEdge = edges.length;
+        while (iEdge--) {
+            if (edges[iEdge].va) {points.push(edges[iEdge].va);}
+            if (edges[iEdge].vb) {points.push(edges[iEdge].vb);}
+            }
+        }
+    var extent = {xl: Infinity, xr: -Infinity, yt: Infinity, yb: -Infinity},
+        iPoint = points.length,
+        point;
+    while (iPoint--) {
+        point = points[iPoint];
+        if (point.x < extent.xl) {extent.xl = point.x;}
+        if (point.x > extent.xr) {extent.xr = point.x;}
+        if (point.y < extent.yt) {extent.yt = point.y;}
+        if (point.y > extent.yb) {extent.yb = point.y;}
+        }
+    if (extent.xl > extent.xr) {
+        extent.xl = extent.xr = extent.yt = extent.yb = 0;
+        }
+    return extent;
+    };
+
+Voronoi.prototype.Diagram.prototype.escapeXML = function(s) {
+    return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    };
+
+// ---------------------------------------------------------------------------
+// GeoJSON methods
+//
+// Sites can be read from GeoJSON points, and diagrams written as a GeoJSON
+// FeatureCollection of polygons, one per cell. GeoJSON coordinates are
+// longitudes and latitudes (RFC 7946), which are projected to planar x, y
+// coordinates before computing the diagram, then back. A projection is an
+// object with two methods:
+//   forward(lon, lat): returns the [x, y] planar coordinates of a position
+//   inverse(x, y): returns the [lon, lat] position of planar coordinates
+// Default is Voronoi.mercator. A projection of null leaves the coordinates
+// as is.
+
+// Spherical (web) Mercator projection, in meters.
+Voronoi.prototype.mercator = Voronoi.mercator = {
+    radius: 6378137,
+    forward: function(lon, lat) {
+        var φ = Math.max(Math.min(lat, 85.0511287798), -85.0511287798)*Math.PI/180;
+        return [
+            this.radius*lon*Math.PI/180,
+            this.radius*Math.log(Math.tan(Math.PI/4+φ/2))
+            ];
+        },
+    inverse: function(x, y) {
+        return [
+            x/this.radius*180/Math.PI,
+            (2*Math.atan(Math.exp(y/this.radius))-Math.PI/2)*180/Math.PI
+            ];
+        }
+    };
+
+// Compute the diagram of the points of a GeoJSON object, return a GeoJSON
+// FeatureCollection of polygons, each carrying the properties (and id) of
+// the feature of its site.
+// The bounding box is a GeoJSON bbox, i.e. [west, south, east, north]. If
+// not supplied, the extent of the points, enlarged by 10% on all sides, is
+// used.
+// Options:
+//   projection: see above
+Voronoi.prototype.computeGeoJSON = function(geojson, bbox, options) {
+    var projection = this.getProjection(options),
+        sites = this.sitesFromGeoJSON(geojson, projection),
+        extent;
+    if (bbox) {
+        var corners = [
+            this.project(projection, bbox[0], bbox[1]),
+            this.project(projection, bbox[2], bbox[1]),
+            this.project(projection, bbox[2], bbox[3]),
+            this.project(projection, bbox[0], bbox[3])
+            ];
+        extent = this.Diagram.prototype.getExtent(corners);
+        }
+    else {
+        extent = this.Diagram.prototype.getExtent(sites);
+        var dx = (extent.xr-extent.xl)*0.1 || 1,
+            dy = (extent.yb-extent.yt)*0.1 || 1;
+        extent.xl -= dx;
+        extent.xr += dx;
+        extent.yt -= dy;
+        extent.yb += dy;
+        }
+    var diagram = this.compute(sites, extent);
+    return diagram.toGeoJSON(options);
+    };
+
+// Return an array of sites, one for each position of the Point and
+// MultiPoint geometries of a GeoJSON object (FeatureCollection, Feature,
+// GeometryCollection or geometry). Each site refers to the 'feature' it
+// comes from, if any.
+Voronoi.prototype.sitesFromGeoJSON = function(geojson, projection) {
+    var sites = [],
+        me = this,
+        iFeature,
+        addGeometry = function(geometry, feature) {
+            var coordinates, iPosition, xy;
+            if (!geometry) {return;}
+            switch (geometry.type) {
+            case 'Point':
+                coordinates = [geometry.coordinates];
+                break;
+            case 'MultiPoint':
+                coordinates = geometry.coordinates;
+                break;
+            case 'GeometryCollection':
+                for (iPosition=0; iPosition<geometry.geometries.length; iPosition++) {
+                    addGeometry(geometry.geometries[iPosition], feature);
+                    }
+                return;
+            default:
+                return;
+                }
+            for (iPosition=0; iPosition<coordinates.length; iPosition++) {
+                xy = me.project(projection, coordinates[iPosition][0], coordinates[iPosition][1]);
+                sites.push({x: xy.x, y: xy.y, feature: feature});
+                }
+            };
+    if (projection === undefined) {
+        projection = this.mercator;
+        }
+    if (geojson.type === 'FeatureCollection') {
+        for (iFeature=0; iFeature<geojson.features.length; iFeature++) {
+            addGeometry(geojson.features[iFeature].geometry, geojson.features[iFeature]);
+            }
+        }
+    else if (geojson.type === 'Feature') {
+        addGeometry(geojson.geometry, geojson);
+        }
+    else {
+        addGeometry(geojson, null);
+        }
+    return sites;
+    };
+
+Voronoi.prototype.getProjection = function(options) {
+    return options && options.projection !== undefined ? options.projection : this.mercator;
+    };
+
+Voronoi.prototype.project = function(projection, lon, lat) {
+    if (!projection) {
+        return {x: lon, y: lat};
+        }
+    var xy = projection.forward(lon, lat);
+    return {x: xy[0], y: xy[1]};
+    };
+
+// Return the diagram as a GeoJSON FeatureCollection of polygons, one for each
+// closed cell. The exterior ring of each polygon is counterclockwise, as per
+// RFC 7946. Each feature carries the properties (and id) of the feature of
+// its site, if any, see Voronoi.sitesFromGeoJSON(), or else the 'properties'
+// of its site, if any.
+// Options:
+//   projection: see above
+Voronoi.prototype.Diagram.prototype.toGeoJSON = function(options) {
+    var projection = Voronoi.prototype.getProjection(options),
+        features = [],
+        cells = this.cells,
+        nCells = cells.length,
+        iCell,
+        cell,
+        site,
+        vertices, nVertices, iVertex,
+        ring,
+        area,
+        feature,
+        source, properties, key;
+    for (iCell=0; iCell<nCells; iCell++) {
+        cell = cells[iCell];
+        site = cell.site;
+        if (!site || !cell.isClosed()) {continue;}
+        vertices = cell.getVertices();
+        nVertices = vertices.length;
+        ring = [];
+        for (iVertex=0; iVertex<nVertices; iVertex++) {
+            ring.push(projection ?
+                projection.inverse(vertices[iVertex].x, vertices[iVertex].y) :
+                [vertices[iVertex].x, vertices[iVertex].y]);
+            }
+        // the orientation of the ring depends on the projection
+        area = 0;
+        for (iVertex=0; iVertex<nVertices; iVertex++) {
+            area += ring[iVertex][0]*ring[(iVertex+1) % nVertices][1]-ring[(iVertex+1) % nVertices][0]*ring[iVertex][1];
+            }
+        if (area < 0) {
+            ring.reverse();
+            }
+        ring.push(ring[0].slice(0));
+        properties = {};
+        source = site.feature ? site.feature.properties : site.properties;
+        for (key in source) {
+            if (source.hasOwnProperty(key)) {
+                properties[key] = source[key];
+                }
+            }
+        feature = {
+            type: 'Feature',
+            geometry: {type: 'Polygon', coordinates: [ring]},
+            properties: properties
+            };
+        if (site.feature && site.feature.id !== undefined) {
+            feature.id = site.feature.id;
+            }
+        features.push(feature);
+        }
+    return {type: 'FeatureCollection', features: features};
+    };
+
+// ---------------------------------------------------------------------------
+// Relaxation methods
+//
+// Lloyd's relaxation: each site is moved to the centroid of its cell, and
+// the diagram is computed again, until the sites stop moving or the
+// requested number of iterations is reached. The result is a centroidal
+// Voronoi tessellation, with evenly spaced sites.
+// Optionally, the centroids are computed against a density, in which case
+// the sites concentrate where the density is high (as used for stippling).
+// The sites are moved in place: their 'x' and 'y' properties are modified.
+
+// Relax the supplied sites, return an object with the following
+// properties:
+//   diagram: the diagram of the relaxed sites
+//   iterations: an array with, for each iteration, an object with an
+//     'energy' property, the sum over all cells of the integral of the
+//     squared distance to the site (times the density, if any), before the
+//     sites were moved, and a 'maxDisplacement' property, the distance
+//     travelled by the site which moved the most
+//   converged: whether the relaxation stopped because no site moved more
+//     than the tolerance
+// Options:
+//   iterations: the maximum number of iterations, default is 1
+//   tolerance: the relaxation stops once no site moves more than this
+//     distance, default is 0
+//   diagram: the diagram of the sites, if already computed, which saves
+//     computing it again. It is recycled, see Voronoi.recycle(). Useful to
+//     relax one iteration at a time, for example to animate the relaxation:
+//       result = voronoi.relax(sites, bbox, {diagram: result.diagram});
+//   density: see Voronoi.getCellMoments()
+//   subdivisions: see Voronoi.getCellMoments()
+Voronoi.prototype.relax = function(sites, bbox, options) {
+    if (this.copiesSites()) {
+        throw new this.VoronoiInputError('Voronoi.relax() > Moving the sites in place requires the default voronoiIdProperty option.', {voronoiIdProperty: this.options.voronoiIdProperty});
+        }
+    options = options || {};
+    var maxIterations = options.iterations !== undefined ? options.iterations : 1,
+        tolerance = options.tolerance || 0,
+        diagram = options.diagram || this.compute(sites, bbox),
+        iterations = [],
+        converged = false,
+        stats;
+    while (iterations.length < maxIterations) {
+        stats = this.moveSitesToCentroids(diagram, options.density, options.subdivisions);
+        iterations.push(stats);
+        this.recycle(diagram);
+        diagram = this.compute(sites, bbox);
+        if (stats.maxDisplacement <= tolerance) {
+            converged = true;
+            break;
+            }
+        }
+    return {
+        diagram: diagram,
+        iterations: iterations,
+        converged: converged
+        };
+    };
+
+// Move each site to the centroid of its cell, return the energy of the
+// diagram and the largest displacement. Sites with no cell, or whose cell
+// has no mass, don't move.
+Voronoi.prototype.moveSitesToCentroids = function(diagram, density, subdivisions) {
+    var cells = diagram.cells,
+        iCell = cells.length,
+        cell,
+        site,
+        moments,
+        dx, dy, d,
+        energy = 0,
+        maxDisplacement = 0;
+    while (iCell--) {
+        cell = cells[iCell];
+        site = cell.site;
+        if (!cell.isClosed()) {continue;}
+        moments = this.getCellMoments(cell, density, subdivisions);
+        energy += moments.m2;
+        if (!moments.m0) {continue;}
+        dx = moments.mx/moments.m0;
+        dy = moments.my/moments.m0;
+        d = Math.sqrt(dx*dx+dy*dy);
+        if (d > maxDisplacement) {
+            maxDisplacement = d;
+            }
+        site.x += dx;
+        site.y += dy;
+        }
+    return {
+        energy: energy,
+        maxDisplacement: maxDisplacement
+        };
+    };
+
+// Return the moments of a closed cell, relative to its site, as an object
+// with the following properties:
+//   m0: the integral of the density over the cell, i.e. its mass
+//   mx, my: the integral of the density times x, y, from which the centroid
+//     is (site.x+mx/m0, site.y+my/m0)
+//   m2: the integral of the density times the squared distance to the site
+// The density is either:
+//   undefined: the density is uniform, and m0 is the area of the cell
+//   a function: called with the x and y coordinates of a point, returning
+//     the density at that point. The cell is split into triangles, each of
+//     which is further split into subdivisions*subdivisions triangles
+//     (default is 4), the density of which is sampled at their centroid.
+//   a raster grid: an object with 'width', 'height' and 'data' properties,
+//     'data' being an array of width*height densities, row by row, such as
+//     the luminance of an image. Each value is the density over a square
+//     pixel, the grid covering the rectangle whose top left corner is at
+//     ('x', 'y'), default is (0, 0), with pixels of size 'pixelSize',
+//     default is 1. The density is 0 outside the grid. The density is
+//     integrated exactly over the part of each pixel covered by the cell.
+Voronoi.prototype.getCellMoments = function(cell, density, subdivisions) {
+    var vertices = cell.getVertices(),
+        nVertices = vertices.length,
+        iVertex,
+        site = cell.site,
+        moments = {m0: 0, mx: 0, my: 0, m2: 0},
+        points = [];
+    for (iVertex=0; iVertex<nVertices; iVertex++) {
+        points.push({x: vertices[iVertex].x-site.x, y: vertices[iVertex].y-site.y});
+        }
+    if (!density) {
+        this.addPolygonMoments(moments, points, 1);
+        }
+    else if (typeof density === 'function') {
+        this.addSampledMoments(moments, points, site, density, subdivisions || 4);
+        }
+    else {
+        this.addRasterMoments(moments, points, site, density);
+        }
+    return moments;
+    };
+
+// Add to the moments those of a convex polygon of constant density, with
+// coordinates relative to the origin of the moments.
+Voronoi.prototype.addPolygonMoments = function(moments, points, density) {
+    var nPoints = points.length,
+        iPoint,
+        x0 = points[0].x,
+        y0 = points[0].y;
+    for (iPoint=2; iPoint<nPoints; iPoint++) {
+        this.addTriangleMoments(moments, x0, y0, points[iPoint-1].x, points[iPoint-1].y, points[iPoint].x, points[iPoint].y, density);
+        }
+    };
+
+Voronoi.prototype.addTriangleMoments = function(moments, x1, y1, x2, y2, x3, y3, density) {
+    // halfedges are counterclockwise with the y axis pointing downward
+    var m0 = ((x3-x1)*(y2-y1)-(x2-x1)*(y3-y1))/2*density;
+    moments.m0 += m0;
+    moments.mx += m0*(x1+x2+x3)/3;
+    moments.my += m0*(y1+y2+y3)/3;
+    moments.m2 += m0*(x1*x1+x2*x2+x3*x3+x1*x2+x2*x3+x3*x1+y1*y1+y2*y2+y3*y3+y1*y2+y2*y3+y3*y1)/6;
+    };
+
+// Add to the moments those of a convex polygon, sampling the density
+// function at the centroid of small triangles.
+Voronoi.prototype.addSampledMoments = function(moments, points, origin, density, subdivisions) {
+    var nPoints = points.length,
+        iPoint,
+        x0 = points[0].x,
+        y0 = points[0].y,
+        ux, uy, vx, vy,
+        a, b,
+        x1, y1, x2, y2, x3, y3;
+    for (iPoint=2; iPoint<nPoints; iPoint++) {
+        ux = (points[iPoint-1].x-x0)/subdivisions;
+        uy = (points[iPoint-1].y-y0)/subdivisions;
+        vx = (points[iPoint].x-x0)/subdivisions;
+        vy = (points[iPoint].y-y0)/subdivisions;
+        for (a=0; a<subdivisions; a++) {
+            for (b=0; a+b<subdivisions; b++) {
+                x1 = x0+a*ux+b*vx;
+                y1 = y0+a*uy+b*vy;
+                x2 = x1+ux;
+                y2 = y1+uy;
+                x3 = x1+vx;
+                y3 = y1+vy;
+                this.addTriangleMoments(moments, x1, y1, x2, y2, x3, y3,
+                    density(origin.x+(x1+x2+x3)/3, origin.y+(y1+y2+y3)/3));
+                if (a+b+1 < subdivisions) {
+                    x1 = x2+vx;
+                    y1 = y2+vy;
+                    this.addTriangleMoments(moments, x2, y2, x1, y1, x3, y3,
+                        density(origin.x+(x1+x2+x3)/3, origin.y+(y1+y2+y3)/3));
+                    }
+                }
+            }
+        }
+    };
+
+// Add to the moments those of a convex polygon over a raster grid: the
+// polygon is cut into rows, then into pixels.
+Voronoi.prototype.addRasterMoments = function(moments, points, origin, grid) {
+    var pixelSize = grid.pixelSize || 1,
+        gx = (grid.x || 0)-origin.x,
+        gy = (grid.y || 0)-origin.y,
+        nPoints = points.length,
+        iPoint,
+        ymin = Infinity,
+        ymax = -Infinity,
+        row, piece,
+        xmin, xmax,
+        i, j, i0, i1, j0, j1,
+        x0, y0,
+        value;
+    for (iPoint=0; iPoint<nPoints; iPoint++) {
+        if (points[iPoint].y < ymin) {ymin = points[iPoint].y;}
+        if (points[iPoint].y > ymax) {ymax = points[iPoint].y;}
+        }
+    j0 = Math.max(Math.floor((ymin-gy)/pixelSize), 0);
+    j1 = Math.min(Math.ceil((ymax-gy)/pixelSize), grid.height);
+    for (j=j0; j<j1; j++) {
+        y0 = gy+j*pixelSize;
+        row = this.clipPolygonToHalfplane(points, 'y', y0, 1);
+        row = this.clipPolygonToHalfplane(row, 'y', y0+pixelSize, -1);
+        if (row.length < 3) {continue;}
+        xmin = Infinity;
+        xmax = -Infinity;
+        for (iPoint=0; iPoint<row.length; iPoint++) {
+            if (row[iPoint].x < xmin) {xmin = row[iPoint].x;}
+            if (row[iPoint].x > xmax) {xmax = row[iPoint].x;}
+            }
+        i0 = Math.max(Math.floor((xmin-gx)/pixelSize), 0);
+        i1 = Math.min(Math.ceil((xmax-gx)/pixelSize), grid.width);
+        for (i=i0; i<i1; i++) {
+            value = grid.data[j*grid.width+i];
+            if (!value) {continue;}
+            x0 = gx+i*pixelSize;
+            piece = this.clipPolygonToHalfplane(row, 'x', x0, 1);
+            piece = this.clipPolygonToHalfplane(piece, 'x', x0+pixelSize, -1);
+            if (piece.length < 3) {continue;}
+            this.addPolygonMoments(moments, piece, value);
+            }
+        }
+    };
+
+// Keep the part of a convex polygon where the coordinate 'axis' ('x' or
+// 'y') is greater than (side=1) or less than (side=-1) the supplied value.
+Voronoi.prototype.clipPolygonToHalfplane = function(points, axis, value, side) {
+    var nPoints = points.length,
+        iPoint,
+        clipped = [],
+        p, q,
+        dp, dq,
+        t;
+    for (iPoint=0; iPoint<nPoints; iPoint++) {
+        p = points[iPoint];
+        q = points[(iPoint+1) % nPoints];
+        dp = (p[axis]-value)*side;
+        dq = (q[axis]-value)*side;
+        if (dp >= 0) {
+            clipped.push(p);
+            }
+        if ((dp > 0 && dq < 0) || (dp < 0 && dq > 0)) {
+            t = dp/(dp-dq);
+            clipped.push({x: p.x+(q.x-p.x)*t, y: p.y+(q.y-p.y)*t});
+            }
+        }
+    return clipped;
+    };
+
+// ---------------------------------------------------------------------------
+// Duplicate sites
+//
+// A site at the same position as a site which precedes it in the sweep gets
+// no cell of its own: it collapses into that site, whose cell it shares. The
+// diagram reports these sites in its 'duplicates' property, an array of
+// {site, into} objects, and gives each of them the voronoiId of the site it
+// collapsed into. The options of the constructor set how duplicates are
+// handled:
+//   duplicates: what becomes of the properties of a duplicate site:
+//     'drop' (default): they are ignored
+//     'merge': those the site it collapsed into lacks are copied to it,
+//       except for the weight, as whether the diagram is a power diagram
+//       is settled from the weights of the supplied sites
+//     a function(site, duplicate): called for each duplicate site, to merge
+//       its properties into the site it collapsed into as it sees fit
+//   duplicateTolerance: the distance within which two sites are deemed to
+//     be at the same position, 0 (default) meaning only sites with the same
+//     coordinates
+
+// Record that a site collapsed into another one, and merge its properties
+// as per the 'duplicates' option.
+Voronoi.prototype.addDuplicate = function(site, into) {
+    var policy = this.options.duplicates,
+        key;
+    this.duplicates.push({site: site, into: into});
+    if (typeof policy === 'function') {
+        policy(into, site);
+        }
+    else if (policy === 'merge') {
+        for (key in site) {
+            if (site.hasOwnProperty(key) && !into.hasOwnProperty(key) && key !== 'voronoiId' && key !== 'weight') {
+                into[key] = site[key];
+                }
+            }
+        }
+    };
+
+// Collapse the sites, in the order they are swept, which are within
+// 'duplicateTolerance' of a site preceding them into the nearest such site,
+// return the remaining sites. Sites are bucketed in a grid whose squares
+// are as large as the tolerance, so that only the eight neighboring squares
+// need to be searched.
+Voronoi.prototype.collapseNearDuplicates = function(sites) {
+    var tolerance = this.options.duplicateTolerance,
+        tolerance2 = tolerance*tolerance,
+        buckets = {},
+        uniques = [],
+        nSites = sites.length,
+        iSite,
+        site,
+        i, j, di, dj,
+        bucket, iBucket,
+        other, dx, dy, d,
+        into, dmin;
+    for (iSite=0; iSite<nSites; iSite++) {
+        site = sites[iSite];
+        i = Math.floor(site.x/tolerance);
+        j = Math.floor(site.y/tolerance);
+        into = null;
+        dmin = Infinity;
+        for (dj=-1; dj<=1; dj++) {
+            for (di=-1; di<=1; di++) {
+                bucket = buckets[(i+di)+','+(j+dj)];
+                if (!bucket) {continue;}
+                for (iBucket=0; iBucket<bucket.length; iBucket++) {
+                    other = bucket[iBucket];
+                    dx = other.x-site.x;
+                    dy = other.y-site.y;
+                    d = dx*dx+dy*dy;
+                    if (d <= tolerance2 && d < dmin) {
+                        into = other;
+                        dmin = d;
+                        }
+                    }
+                }
+            }
+        if (into) {
+            this.addDuplicate(site, into);
+            continue;
+            }
+        bucket = buckets[i+','+j];
+        if (bucket) {
+            bucket.push(site);
+            }
+        else {
+            buckets[i+','+j] = [site];
+            }
+        uniques.push(site);
+        }
+    return uniques;
+    };
+
+// ---------------------------------------------------------------------------
+// Site ids
+//
+// The cells of a diagram are indexed by voronoiId, which is written to the
+// 'voronoiId' property of each site. The 'voronoiIdProperty' option of the
+// constructor sets another property to write it to, or, if null, leaves the
+// sites untouched, for instance when they are frozen. In both cases the
+// diagram is computed from shallow copies of the sites, which become the
+// 'site' of the cells, edges and triangles of the diagram. The methods of
+// the diagram taking or returning sites, such as naturalNeighbors() and
+// nearestSites(), deal with the supplied sites though, see
+// Voronoi.Diagram.getSuppliedSite(). Since relax() moves the sites, and a
+// mutable diagram keeps track of them, neither can be used then. See also
+// Voronoi.Diagram.getCellMap(), to look up the cells by an id of the sites.
+
+Voronoi.prototype.copiesSites = function() {
+    var property = this.options.voronoiIdProperty;
+    return property !== undefined && property !== 'voronoiId';
+    };
+
+// Return the sites to compute the diagram from: the supplied sites, or
+// copies of them, as per the 'voronoiIdProperty' option.
+Voronoi.prototype.copySites = function(sites) {
+    if (!this.copiesSites()) {
+        return sites;
+        }
+    var property = this.options.voronoiIdProperty,
+        nSites = sites.length,
+        iSite,
+        site,
+        copy,
+        copies = new Array(nSites),
+        key;
+    for (iSite=0; iSite<nSites; iSite++) {
+        site = sites[iSite];
+        copy = {};
+        for (key in site) {
+            if (key !== property) {
+                copy[key] = site[key];
+                }
+            }
+        copies[iSite] = copy;
+        }
+    this.suppliedSites = sites;
+    this.siteCopies = copies;
+    return copies;
+    };
+
+// Write the voronoiId of the copies of the sites to the supplied sites, if
+// the 'voronoiIdProperty' option names a property.
+Voronoi.prototype.writeVoronoiIds = function() {
+    var property = this.options.voronoiIdProperty,
+        sites = this.suppliedSites,
+        copies = this.siteCopies;
+    if (!sites || !property) {return;}
+    var iSite = sites.length;
+    while (iSite--) {
+        sites[iSite][property] = copies[iSite].voronoiId;
+        }
+    };
+
+// ---------------------------------------------------------------------------
+// Top-level Fortune loop
+
+// rhill 2011-05-19:
+//   Voronoi sites are kept client-side now, to allow
+//   user to freely modify content. At compute time,
+//   *references* to sites are copied locally.
+
+Voronoi.prototype.sweep = function(sites) {
+    this.beginSweep(sites);
+    while (this.processEvent()) {}
+    };
+
+// Initialize the site event queue
+Voronoi.prototype.beginSweep = function(sites) {
+    var siteEvents = sites.slice(0);
+    siteEvents.sort(function(a,b){
+        var r = b.y - a.y;
+        if (r) {return r;}
+        return b.x - a.x;
+        });
+    // near-duplicate sites are removed before the sweep starts, they never
+    // show up as site events
+    if (this.options.duplicateTolerance > 0) {
+        siteEvents = this.collapseNearDuplicates(siteEvents.reverse()).reverse();
+        }
+    this.siteEvents = siteEvents;
+    this.sweepline = -Infinity;
+    // to avoid duplicate sites
+    this.xsitex = this.xsitey = undefined;
+    };
+
+// Return whether the next event is a site event, that is, there is a site
+// event and it is 'earlier' than the circle event
+Voronoi.prototype.isSiteEventNext = function() {
+    var site = this.siteEvents[this.siteEvents.length-1],
+        circle = this.firstCircleEvent;
+    return !!site && (!circle || site.y < circle.y || (site.y === circle.y && site.x < circle.x));
+    };
+
+// Process the next event, return false if there is none left
+Voronoi.prototype.processEvent = function() {
+    var site, circle;
+
+    // add beach section
+    if (this.isSiteEventNext()) {
+        site = this.siteEvents.pop();
+        this.sweepline = site.y;
+        // only if site is not a duplicate
+        if (site.x !== this.xsitex || site.y !== this.xsitey) {
+            // first create cell for new site
+            site.voronoiId = this.cells.length;
+            this.cells.push(this.createCell(site));
+            // then create a beachsection for that site
+            this.addBeachsection(site);
+            // remember last site coords to detect duplicate
+            this.xsitey = site.y;
+            this.xsitex = site.x;
+            }
+        else {
+            this.addDuplicate(site, this.cells[this.cells.length-1].site);
+            }
+        return true;
+        }
+
+    // remove beach section
+    circle = this.firstCircleEvent;
+    if (circle) {
+        this.sweepline = circle.y;
+        this.removeBeachsection(circle.arc);
+        return true;
+        }
+
+    // all done
+    return false;
+    };
+
+Voronoi.prototype.compute = function(sites, bbox) {
+    return this.computeDiagram(sites, bbox, 'Voronoi.compute()');
+    };
+
+// Compute the diagram, on behalf of the supplied public method.
+Voronoi.prototype.computeDiagram = function(sites, bbox, method) {
+    if (this.isCoordinateArray(sites)) {
+        sites = this.sitesFromCoordinates(sites);
+        }
+    this.validateSites(sites, method);
+    if (bbox) {
+        this.validateBbox(bbox, method);
+        }
+
+    // to measure execution time
+    var startTime = new Date();
+
+    // init internal state
+    this.reset();
+    this.updateEpsilon(sites, bbox);
+    sites = this.copySites(sites);
+
+    // sites of unequal weights: the diagram is a power diagram, which
+    // Fortune's algorithm can't compute
+    if (this.hasUnequalWeights(sites)) {
+        this.computePowerDiagram(sites);
+        }
+    else {
+        this.sweep(sites);
+        }
+
+    return this.completeDiagram(bbox, startTime);
+    };
+
+// Wrap up the computation of the diagram, return the diagram. Its halfedges
+// aren't linked, see Voronoi.Diagram.link().
+Voronoi.prototype.completeDiagram = function(bbox, startTime) {
+    // wrapping-up:
+    //   connect dangling edges to bounding box
+    //   cut edges as per bounding box
+    //   discard edges completely outside bounding box
+    //   discard edges which are point-like
+    //   add missing edges in order to close opened cells
+    if (bbox) {
+        this.closeDiagram(bbox);
+        }
+    // no bounding box: the diagram is returned unclipped, dangling edges
+    // are left as is, we just need to order the halfedges
+    else {
+        var cells = this.cells,
+            iCell = cells.length;
+        while (iCell--) {
+            cells[iCell].halfedges.sort(function(a,b){return b.angle-a.angle;});
+            }
+        }
+
+    // duplicate sites share the cell of the site they collapsed into
+    var duplicates = this.duplicates,
+        iDuplicate = duplicates.length;
+    while (iDuplicate--) {
+        duplicates[iDuplicate].site.voronoiId = duplicates[iDuplicate].into.voronoiId;
+        }
+    this.writeVoronoiIds();
+
+    // to measure execution time
+    var stopTime = new Date();
+
+    // prepare return values
+    var diagram = new this.Diagram();
+    diagram.cells = this.cells;
+    diagram.edges = this.edges;
+    diagram.vertices = this.vertices;
+    diagram.triangles = this.triangles;
+    diagram.duplicates = duplicates;
+    diagram.suppliedSites = this.suppliedSites;
+    diagram.siteCopies = this.siteCopies;
+    diagram.execTime = stopTime.getTime()-startTime.getTime();
+    // the duplicates were recorded as the copies of the sites, see
+    // Voronoi.copySites(), report them as the supplied sites
+    if (diagram.siteCopies) {
+        diagram.duplicates = duplicates.map(function(duplicate) {
+            return {
+                site: diagram.getSuppliedSite(duplicate.site),
+                into: diagram.getSuppliedSite(duplicate.into)
+                };
+            });
+        }
+
+    // clean up
+    this.reset();
 
     return diagram;
     };
 
+
+// ---------------------------------------------------------------------------
+// Stepping methods
+//
+// Fortune's algorithm can be run one event at a time, for instance to
+// visualize it:
+//   begin(sites, bbox) starts the computation,
+//   step() processes the next event,
+//   advanceTo(y) processes all the events up to the sweep line y,
+//   finish() processes the remaining events, and returns the diagram, just
+//     as compute() would.
+// The state of the sweep can be inspected between steps with getSnapshot().
+// Power diagrams aren't computed by Fortune's algorithm, and can't be
+// stepped through.
+
+Voronoi.prototype.begin = function(sites, bbox) {
+    if (this.isCoordinateArray(sites)) {
+        sites = this.sitesFromCoordinates(sites);
+        }
+    this.validateSites(sites, 'Voronoi.begin()');
+    if (bbox) {
+        this.validateBbox(bbox, 'Voronoi.begin()');
+        }
+    this.reset();
+    if (this.hasUnequalWeights(sites)) {
+        throw new this.VoronoiInputError('Voronoi.begin() > A power diagram can\'t be computed step by step.', {sites: sites});
+        }
+    this.updateEpsilon(sites, bbox);
+    this.stepping = {bbox: bbox, startTime: new Date()};
+    this.beginSweep(this.copySites(sites));
+    return this;
+    };
+
+// Return the next event without processing it, or null if there is none
+// left. An event is an object with the following properties:
+//   type: 'site' or 'circle'
+//   x, y: the position of the sweep line at which the event occurs
+//   site: the site which is added to the beachline, for a site event, or
+//     the site of the beach section which is removed from the beachline,
+//     for a circle event
+//   duplicate: true for a site event whose site is a duplicate of the
+//     previous one, and is thus ignored
+//   ycenter: the y of the center of the circle, that is, of the vertex
+//     which is created, for a circle event
+Voronoi.prototype.peek = function() {
+    if (!this.stepping) {
+        throw new this.VoronoiError('Voronoi.peek() > Need to call Voronoi.begin() first.');
+        }
+    var site, circle;
+    if (this.isSiteEventNext()) {
+        site = this.siteEvents[this.siteEvents.length-1];
+        return {
+            type: 'site',
+            x: site.x,
+            y: site.y,
+            site: site,
+            duplicate: site.x === this.xsitex && site.y === this.xsitey
+            };
+        }
+    circle = this.firstCircleEvent;
+    if (circle) {
+        return {
+            type: 'circle',
+            x: circle.x,
+            y: circle.y,
+            site: circle.site,
+            ycenter: circle.ycenter
+            };
+        }
+    return null;
+    };
+
+// Process the next event, return it (see Voronoi.peek()), or null if there
+// is none left.
+Voronoi.prototype.step = function() {
+    var event = this.peek();
+    if (event) {
+        this.processEvent();
+        }
+    return event;
+    };
+
+// Process all the events up to the sweep line y, return the number of events
+// processed.
+Voronoi.prototype.advanceTo = function(y) {
+    var n = 0,
+        event;
+    while ((event = this.peek()) && event.y <= y) {
+        this.processEvent();
+        n++;
+        }
+    if (y > this.sweepline) {
+        this.sweepline = y;
+        }
+    return n;
+    };
+
+Voronoi.prototype.finish = function() {
+    if (!this.stepping) {
+        throw new this.VoronoiError('Voronoi.finish() > Need to call Voronoi.begin() first.');
+        }
+    var stepping = this.stepping;
+    while (this.processEvent()) {}
+    return this.completeDiagram(stepping.bbox, stepping.startTime);
+    };
+
+// Return a snapshot of the state of the sweep, at the sweep line y, default
+// is the current position of the sweep line. The snapshot is a copy, which
+// isn't affected by subsequent steps:
+//   sweepline: the y of the sweep line
+//   beachline: the beach sections, from left to right, each an object with
+//     the 'site' of its parabola, and the x of its left and right
+//     break points, 'xl' and 'xr' (infinite at both ends of the beachline)
+//   circleEvents: the pending circle events, in the order in which they will
+//     be processed, each an object as returned by Voronoi.peek()
+//   edges: the edges found so far, each an object with 'lSite', 'rSite', and
+//     the {x, y} of 'va' and 'vb', null when not yet known
+//   sites: the number of site events left
+Voronoi.prototype.getSnapshot = function(y) {
+    if (!this.stepping) {
+        throw new this.VoronoiError('Voronoi.getSnapshot() > Need to call Voronoi.begin() first.');
+        }
+    if (y === undefined) {
+        y = this.sweepline;
+        }
+    var snapshot = {
+            sweepline: y,
+            beachline: [],
+            circleEvents: [],
+            edges: [],
+            sites: this.siteEvents.length
+            },
+        beachsection = this.beachline.root ? this.beachline.getFirst(this.beachline.root) : null,
+        circle = this.firstCircleEvent,
+        edges = this.edges,
+        nEdges = edges.length,
+        edge,
+        copyVertex = function(vertex) {
+            return vertex ? {x: vertex.x, y: vertex.y} : null;
+            };
+    while (beachsection) {
+        snapshot.beachline.push({
+            site: beachsection.site,
+            xl: this.leftBreakPoint(beachsection, y),
+            xr: this.rightBreakPoint(beachsection, y)
+            });
+        beachsection = beachsection.rbNext;
+        }
+    while (circle) {
+        snapshot.circleEvents.push({
+            type: 'circle',
+            x: circle.x,
+            y: circle.y,
+            site: circle.site,
+            ycenter: circle.ycenter
+            });
+        circle = circle.rbNext;
+        }
+    for (var iEdge=0; iEdge<nEdges; iEdge++) {
+        edge = edges[iEdge];
+        snapshot.edges.push({
+            lSite: edge.lSite,
+            rSite: edge.rSite,
+            va: copyVertex(edge.va),
+            vb: copyVertex(edge.vb)
+            });
+        }
+    return snapshot;
+    };
+
+// ---------------------------------------------------------------------------
+// Time-sliced computation
+//
+// Where workers aren't available, computeIncremental(sites, bbox, options)
+// keeps the thread responsive by running Fortune's algorithm in chunks of
+// events, each lasting about 'budgetMs' milliseconds, yielding to the event
+// loop between chunks. It returns a Promise of the diagram. Options:
+//   budgetMs: the duration of a chunk, default is 10
+//   onProgress: a function called after each chunk with an object whose
+//     'events' property is the number of events processed so far, 'sites'
+//     the number of sites swept so far, 'totalSites' the number of sites to
+//     sweep, and 'collapsedSites' the number of sites within
+//     'duplicateTolerance' of another, which are collapsed before the sweep
+//     and aren't swept
+// The computation uses the stepping methods: stepping through another
+// computation, or computing another diagram, with the same Voronoi object
+// before the promise is settled cancels it, as does cancelAsync(), in which
+// case the promise is rejected with a Voronoi.VoronoiCancelError. Only the
+// sweep is sliced: the clipping and closing of the cells, which follow it,
+// are done in the last chunk. Power diagrams can't be stepped through, and
+// are computed in one chunk.
+
+Voronoi.prototype.computeIncremental = function(sites, bbox, options) {
+    options = options || {};
+    var me = this,
+        budgetMs = options.budgetMs !== undefined ? options.budgetMs : 10,
+        onProgress = options.onProgress;
+    return new Promise(function(resolve, reject) {
+        if (me.isCoordinateArray(sites)) {
+            sites = me.sitesFromCoordinates(sites);
+            }
+        me.validateSites(sites, 'Voronoi.computeIncremental()');
+        var events = 0;
+        if (me.hasUnequalWeights(sites)) {
+            resolve(me.compute(sites, bbox));
+            return;
+            }
+        me.begin(sites, bbox);
+        var stepping = me.stepping,
+            totalSites = me.siteEvents.length,
+            collapsedSites = sites.length-totalSites,
+            defer = me.createDefer();
+        stepping.incremental = true;
+        var chunk = function() {
+            if (me.stepping !== stepping) {
+                defer.close();
+                reject(new me.VoronoiCancelError('Voronoi.computeIncremental() > The computation was cancelled.'));
+                return;
+                }
+            var deadline = Date.now()+budgetMs,
+                done = false,
+                diagram;
+            try {
+                for (;;) {
+                    if (!me.processEvent()) {
+                        done = true;
+                        break;
+                        }
+                    events++;
+                    // the clock is read every 32 events only
+                    if (!(events & 31) && Date.now() >= deadline) {break;}
+                    }
+                if (onProgress) {
+                    onProgress({
+                        events: events,
+                        sites: totalSites-me.siteEvents.length,
+                        totalSites: totalSites,
+                        collapsedSites: collapsedSites
+                        });
+                    }
+                if (done) {
+                    diagram = me.finish();
+                    }
+                }
+            catch (e) {
+                // the computation can't be resumed
+                if (me.stepping === stepping) {
+                    me.reset();
+                    }
+                defer.close();
+                reject(e);
+                return;
+                }
+            if (done) {
+                defer.close();
+                resolve(diagram);
+                }
+            else {
+                defer(chunk);
+                }
+            };
+        defer(chunk);
+        });
+    };
+
+// Return a function deferring the call of a callback to a next turn of the
+// event loop, with a close() method to call once done with it. Browsers
+// clamp nested setTimeout() calls to 4 ms, which would leave the thread idle
+// between chunks: without setImmediate(), a message is posted to a
+// MessageChannel instead.
+Voronoi.prototype.createDefer = function() {
+    var defer;
+    if (typeof setImmediate === 'function') {
+        defer = function(callback) {
+            setImmediate(callback);
+            };
+        defer.close = function() {};
+        }
+    else if (typeof MessageChannel === 'function') {
+        var channel = new MessageChannel(),
+            next = null;
+        channel.port1.onmessage = function() {
+            var callback = next;
+            next = null;
+            callback();
+            };
+        defer = function(callback) {
+            next = callback;
+            channel.port2.postMessage(null);
+            };
+        defer.close = function() {
+            channel.port1.close();
+            };
+        }
+    else {
+        defer = function(callback) {
+            setTimeout(callback, 0);
+            };
+        defer.close = function() {};
+        }
+    return defer;
+    };
+
+// ---------------------------------------------------------------------------
+// Asynchronous computation
+//
+// computeAsync(sites, bbox) computes the diagram in a worker, a Web Worker
+// in a browser, a worker thread under Node.js, so as not to block the main
+// thread, and returns a Promise of the flat representation of the diagram
+// (see Voronoi.Diagram.toBuffers()), whose typed arrays are transferred
+// from the worker without copying. Only the coordinates and weights of the
+// sites are sent to the worker: 'siteIndices' and 'duplicates' refer to the
+// sites by their index in the supplied array. The options of the
+// constructor are sent along, except those which are functions.
+// Calling computeAsync() while a computation is still running supersedes
+// it: the worker is terminated, and the promise of the computation is
+// rejected with a Voronoi.VoronoiCancelError. cancelAsync() does the same,
+// without starting a new computation, and releases the worker.
+// The worker runs rhill-voronoi-worker.js, which must be next to
+// rhill-voronoi-core.js. In a browser, its URL, relative to the page, is
+// set with the 'workerURL' option of the constructor.
+
+Voronoi.prototype.computeAsync = function(sites, bbox) {
+    var me = this;
+    if (this.pendingAsync) {
+        this.cancelAsync();
+        }
+    return new Promise(function(resolve, reject) {
+        var message = me.createWorkerMessage(sites, bbox),
+            transfer = [message.coordinates.buffer];
+        if (message.weights) {
+            transfer.push(message.weights.buffer);
+            }
+        if (!me.worker) {
+            me.worker = me.createWorker();
+            }
+        // postMessage() throws if the message can't be cloned, in which
+        // case the worker is left as is
+        me.worker.postMessage(message, transfer);
+        me.pendingAsync = {id: message.id, resolve: resolve, reject: reject};
+        // a Node.js worker keeps the process alive only while it computes
+        if (me.worker.ref) {
+            me.worker.ref();
+            }
+        });
+    };
+
+// Cancel the running asynchronous computation, if any, and terminate the
+// worker. A time-sliced computation, see Voronoi.computeIncremental(), is
+// cancelled as well.
+Voronoi.prototype.cancelAsync = function() {
+    var pending = this.pendingAsync;
+    if (this.stepping && this.stepping.incremental) {
+        this.reset();
+        }
+    if (this.worker) {
+        this.worker.terminate();
+        this.worker = null;
+        }
+    if (pending) {
+        this.pendingAsync = null;
+        pending.reject(new this.VoronoiCancelError('Voronoi.computeAsync() > The computation was cancelled.', {id: pending.id}));
+        }
+    };
+
+// Return the message which asks the worker to compute the diagram: the
+// coordinates of the sites, and their weights, if any, as typed arrays
+// which are transferred to the worker.
+Voronoi.prototype.createWorkerMessage = function(sites, bbox) {
+    var coordinates,
+        weights = null,
+        nSites,
+        iSite,
+        site,
+        options = {},
+        key;
+    if (this.isCoordinateArray(sites)) {
+        // a copy, since the buffer is transferred
+        coordinates = new Float64Array(sites);
+        }
+    else {
+        this.validateSites(sites, 'Voronoi.computeAsync()');
+        nSites = sites.length;
+        coordinates = new Float64Array(nSites*2);
+        for (iSite=0; iSite<nSites; iSite++) {
+            site = sites[iSite];
+            coordinates[iSite*2] = site.x;
+            coordinates[iSite*2+1] = site.y;
+            if (site.weight !== undefined) {
+                weights = weights || new Float64Array(nSites);
+                weights[iSite] = site.weight;
+                }
+            }
+        }
+    if (bbox) {
+        this.validateBbox(bbox, 'Voronoi.computeAsync()');
+        }
+    for (key in this.options) {
+        if (typeof this.options[key] !== 'function') {
+            options[key] = this.options[key];
+            }
+        }
+    return {
+        id: ++this.asyncId,
+        coordinates: coordinates,
+        weights: weights,
+        bbox: bbox,
+        options: options
+        };
+    };
+
+Voronoi.prototype.createWorker = function() {
+    var me = this,
+        worker;
+    if (typeof Worker !== 'undefined') {
+        worker = new Worker(this.options.workerURL || 'rhill-voronoi-worker.js');
+        worker.onmessage = function(event) {
+            me.onWorkerMessage(worker, event.data);
+            };
+        worker.onerror = function(event) {
+            event.preventDefault();
+            me.onWorkerError(worker, event.message);
+            };
+        }
+    else {
+        worker = new (require('worker_threads').Worker)(this.options.workerURL || require('path').join(__dirname, 'rhill-voronoi-worker.js'));
+        worker.on('message', function(data) {
+            me.onWorkerMessage(worker, data);
+            });
+        worker.on('error', function(error) {
+            me.onWorkerError(worker, error.message);
+            });
+        worker.unref();
+        }
+    return worker;
+    };
+
+// Settle the promise of the computation the worker replied to, unless it
+// was superseded in the meantime.
+Voronoi.prototype.onWorkerMessage = function(worker, data) {
+    var pending = this.pendingAsync;
+    if (worker !== this.worker || !pending || pending.id !== data.id) {return;}
+    this.pendingAsync = null;
+    if (worker.unref) {
+        worker.unref();
+        }
+    if (data.error) {
+        var ErrorType = /^Voronoi\w*Error$/.test(data.error.name) && this[data.error.name] || this.VoronoiError;
+        pending.reject(new ErrorType(data.error.message, data.error.context));
+        }
+    else {
+        pending.resolve(data.buffers);
+        }
+    };
+
+// The worker failed, for instance because its script couldn't be loaded:
+// reject the running computation, if any, and discard the worker.
+Voronoi.prototype.onWorkerError = function(worker, message) {
+    if (worker !== this.worker) {return;}
+    var pending = this.pendingAsync;
+    this.pendingAsync = null;
+    this.worker = null;
+    worker.terminate();
+    if (pending) {
+        pending.reject(new this.VoronoiError('Voronoi.computeAsync() > The worker failed: '+message, {id: pending.id}));
+        }
+    };
+
 /******************************************************************************/
 
 if ( typeof module !== 'undefined' ) {
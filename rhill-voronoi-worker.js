@@ -0,0 +1,87 @@
+/*!
+Copyright (C) 2010-2013 Raymond Hill: https://github.com/gorhill/Javascript-Voronoi
+MIT License: See https://github.com/gorhill/Javascript-Voronoi/LICENSE.md
+*/
+/*
+File: rhill-voronoi-worker.js
+Description: The worker in which Voronoi.computeAsync() computes Voronoi
+diagrams, either as a Web Worker in a browser, or as a worker thread under
+Node.js. It must be next to rhill-voronoi-core.js.
+
+Each message asks for a diagram:
+  id: the id of the computation, sent back with the reply
+  coordinates: a Float64Array of the interleaved coordinates of the sites
+  weights: a Float64Array of the weights of the sites, or null
+  bbox: the bounding box, polygon, circle or ellipse, if any
+  options: the options of the Voronoi constructor
+The reply is either {id, buffers}, the typed arrays of the flat
+representation of the diagram being transferred (see
+Voronoi.Diagram.toBuffers()), or {id, error: {name, message}}.
+*/
+
+/*global importScripts, self, require, Voronoi */
+
+(function() {
+    var parentPort = null,
+        VoronoiClass;
+    if (typeof importScripts === 'function') {
+        importScripts('rhill-voronoi-core.js');
+        VoronoiClass = Voronoi;
+        }
+    else {
+        parentPort = require('worker_threads').parentPort;
+        VoronoiClass = require('./rhill-voronoi-core.js');
+        }
+
+    var reply = function(message, transfer) {
+        if (parentPort) {
+            parentPort.postMessage(message, transfer);
+            }
+        else {
+            self.postMessage(message, transfer);
+            }
+        };
+
+    var compute = function(data) {
+        var voronoi = new VoronoiClass(data.options),
+            sites,
+            nSites,
+            iSite,
+            buffers;
+        try {
+            sites = voronoi.sitesFromCoordinates(data.coordinates);
+            if (data.weights) {
+                nSites = sites.length;
+                for (iSite=0; iSite<nSites; iSite++) {
+                    sites[iSite].weight = data.weights[iSite];
+                    }
+                }
+            buffers = voronoi.computeBuffers(sites, data.bbox);
+            }
+        catch (e) {
+            // the context of the error isn't sent, as it can refer to the
+            // whole diagram
+            reply({id: data.id, error: {name: e.name, message: e.message}}, []);
+            return;
+            }
+        reply({id: data.id, buffers: buffers}, [
+            buffers.vertices.buffer,
+            buffers.edges.buffer,
+            buffers.cellOffsets.buffer,
+            buffers.halfedges.buffer,
+            buffers.sites.buffer,
+            buffers.siteIndices.buffer,
+            buffers.duplicates.buffer,
+            buffers.triangles.buffer
+            ]);
+        };
+
+    if (parentPort) {
+        parentPort.on('message', compute);
+        }
+    else {
+        self.onmessage = function(event) {
+            compute(event.data);
+            };
+        }
+})();